@@ -0,0 +1,74 @@
+"use strict";
+
+// Measures how long Block.save takes against MySQL for blocks of different
+// sizes, writing one row per INSERT (how blocks used to be saved) and then in
+// batches of DB_INSERT_BATCH_SIZE rows. The in-memory backend has no INSERTs
+// to batch, so the benchmark always uses MySQL, whatever STORAGE_BACKEND says.
+//
+//   npm run benchmark                         # 10, 1,000 and 10,000 transactions
+//   node benchmarks/blockSave.js 10 100       # custom block sizes
+//
+// Blocks are saved as side-branch blocks so they neither clash with the main
+// chain nor touch balances, and are deleted again afterwards.
+
+const { setStorage } = require("../src/storage");
+const MySQLStorage = require("../src/storage/mysqlStorage");
+const { Block, Transaction } = require("../src/blockchain");
+const { config } = require("../src/config");
+
+const DEFAULT_SIZES = [10, 1000, 10000];
+
+// Build a mined block holding `size` transactions with distinct hashes
+function createBlock(size) {
+  const timestamp = Date.now();
+  const transactions = [];
+  for (let i = 0; i < size; i++) {
+    transactions.push(
+      new Transaction("benchmark-sender", "benchmark-recipient", 1, timestamp + i)
+    );
+  }
+  const block = new Block(0, "0".repeat(64), timestamp, transactions, 0);
+  block.mineBlock(0);
+  return block;
+}
+
+// Save a fresh block through `storage` and return the elapsed milliseconds
+async function timeSave(storage, size) {
+  setStorage(storage);
+  const block = createBlock(size);
+  const started = process.hrtime.bigint();
+  await block.save(false);
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+  await storage.deleteBlock(block.hash);
+  return elapsed;
+}
+
+async function main() {
+  const sizes = process.argv.slice(2).map(Number);
+  const batchSize = config.db.insertBatchSize;
+  const unbatchedStorage = new MySQLStorage({ batchSize: 1 });
+  const batchedStorage = new MySQLStorage({ batchSize });
+  await batchedStorage.connect();
+
+  const results = [];
+  for (const size of sizes.length > 0 ? sizes : DEFAULT_SIZES) {
+    const unbatched = await timeSave(unbatchedStorage, size);
+    const batched = await timeSave(batchedStorage, size);
+    results.push({
+      transactions: size,
+      "one row per INSERT (ms)": unbatched.toFixed(1),
+      [`batches of ${batchSize} (ms)`]: batched.toFixed(1),
+      speedup: `${(unbatched / batched).toFixed(1)}x`
+    });
+  }
+
+  console.log(`MySQL at ${config.db.host}:${config.db.port}/${config.db.database}`);
+  console.table(results);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Benchmark failed:", error);
+    process.exit(1);
+  });
@@ -1,6 +1,9 @@
 'use strict';
 
 const { Blockchain, Transaction } = require('./src/blockchain');
+const { getStorage } = require('./src/storage');
+const { recoverBlocks } = require('./src/recovery');
+const { publicKeyToAddress } = require('./src/wallet');
 const { Node, MerkleTree } = require('./src/merkleTree');
 const EC = require('elliptic').ec;
 const { createKeypair, SolanaTransaction, requestAirdrop, LAMPORTS_PER_SOL } = require('./solana');
@@ -20,10 +23,13 @@ const ec = new EC('secp256k1');
 const keyPair = ec.genKeyPair();
 const privateKey = keyPair.getPrivate('hex'); // Extract the private key in hexadecimal format
 const publicKey = keyPair.getPublic('hex'); // Extract the public key in hexadecimal format
+const address = publicKeyToAddress(publicKey); // Derive the checksummed address of the public key
+const recipientAddress = publicKeyToAddress(ec.genKeyPair().getPublic('hex'));
 
 // Print the generated public and private keys to the console
 console.log('Public Key:', publicKey);
 console.log('Private Key:', privateKey);
+console.log('Address:', address);
 
 // Example values to build the Merkle Tree
 const values = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
@@ -37,27 +43,32 @@ const merkleTree = new MerkleTree(values);
 merkleTree.printTree();
 console.log('Merkle Tree Root Hash:', merkleTree.getRootHash());
 
-// Create a new instance of the Blockchain class
-const myCoin = new Blockchain();
-
-// Log the initial state of the blockchain
-console.log("Initial Blockchain State:");
-console.log(JSON.stringify(myCoin, null, 2));
-
 // Async function to create and mine transactions
 (async () => {
   try {
-    await myCoin.addInitialBalance(publicKey, 100);
+    // Wait for the database (retrying with backoff) before touching the chain
+    await getStorage().connect();
+    // Repair blocks left half-written by earlier versions before loading anything
+    await recoverBlocks();
+
+    // Load the stored blockchain, creating the genesis block on first start
+    const myCoin = await Blockchain.load();
+
+    // Log the initial state of the blockchain
+    console.log("Initial Blockchain State:");
+    console.log(JSON.stringify(myCoin, null, 2));
+
+    await myCoin.addInitialBalance(address, 100);
     // Mine the initial transactions to confirm the balance
-    await myCoin.minePendingTransactions(publicKey);
+    await myCoin.minePendingTransactions(address);
     console.log('Initial mining complete!');
 
     // Log the state of the blockchain after initial mining
     console.log("Blockchain After Initial Mining:");
     console.log(JSON.stringify(myCoin, null, 2));
 
-    // Create a new transaction from the public key address to 'address2' with amount 100
-    const tx1 = new Transaction(publicKey, 'address2', 100);
+    // Create a new transaction from our address to the recipient with amount 100
+    const tx1 = new Transaction(address, recipientAddress, 100);
     
     // Sign the transaction with the private key
     tx1.sign(ec.keyFromPrivate(privateKey));
@@ -72,7 +83,7 @@ console.log(JSON.stringify(myCoin, null, 2));
     console.log('New Transaction - To Address:', tx1.toAddress);
 
     // Mine the new transactions
-    await myCoin.minePendingTransactions('miner-address');
+    await myCoin.minePendingTransactions(myCoin.getMinerAddress());
     console.log('Mining complete!');
 
     // Log the state of the blockchain after mining the new transactions
@@ -80,8 +91,8 @@ console.log(JSON.stringify(myCoin, null, 2));
     console.log(JSON.stringify(myCoin, null, 2));
 
     // Print the balance of the public key address
-    const balancePublicKey = myCoin.getBalanceOfAddress(publicKey);
-    const balanceAddress2 = myCoin.getBalanceOfAddress('address2');
+    const balancePublicKey = myCoin.getBalanceOfAddress(address);
+    const balanceAddress2 = myCoin.getBalanceOfAddress(recipientAddress);
     console.log(`Balance of public key: ${balancePublicKey}`);
     console.log(`Balance of address2: ${balanceAddress2}`);
 
@@ -0,0 +1,117 @@
+"use strict";
+
+// Balance proofs: the balance of an address at a block height, with what is
+// needed to check it against the block's header, in one JSON-serializable
+// bundle. A balance of 0 proves that the address had no balance at all.
+//
+//   {
+//     "address": "<address>",
+//     "balance": 42,
+//     "block": { "index", "hash", "previousHash", "merkleRoot", "merkleVersion",
+//                "stateRoot", "transactionsDigest", "timestamp", "nonce",
+//                "difficulty" },
+//     "proof": [{ "depth": 256, "hash": "<sibling>" }, ...]
+//   }
+//
+// A node builds bundles with getBalanceProof. verifyBalanceProof needs no
+// storage: it recomputes the block hash from the header, so anyone holding a
+// bundle and a trusted block hash can check it without running a node. The
+// trusted hash is required, since a made-up header can carry any state root.
+
+const { getStorage } = require("./storage");
+const { StateTree } = require("./stateTree");
+const { Block, HEADER_FIELDS } = require("./blockchain");
+
+/**
+ * Builds the balance proof of an address at a main-chain height.
+ * @param {string} address - Address to prove
+ * @param {number} height - Height of the block whose state to prove against
+ * @returns {Promise<Object|null>} - The bundle, or null if the main chain has no block at that height
+ * @throws {Error} - If the block predates state roots
+ * @throws {HistoryPrunedError} - If this node pruned the block's transactions
+ */
+async function getBalanceProof(address, height) {
+  const { blocks } = await getStorage().getMainChainPage(height, 1);
+  if (blocks.length === 0 || Number(blocks[0].index) !== height) return null;
+
+  const block = await Block.load(blocks[0].hash);
+  if (block.stateRoot === null) {
+    throw new Error(`Block ${height} predates state roots`);
+  }
+  const { balance, proof } = await StateTree.getProof(block.stateRoot, address);
+  return { address, balance, block: block.getHeader(), proof };
+}
+
+/**
+ * Checks a balance proof without storage: the header matches its hash, the
+ * hash meets its difficulty and it is `blockHash`, the hash of a block known
+ * to be on the chain, and the proof leads from the address's balance to the
+ * header's state root.
+ * @param {Object} bundle - Bundle from getBalanceProof, e.g. parsed from JSON
+ * @param {Object} options
+ * @param {string} options.blockHash - Trusted hash the bundle's block must have
+ * @returns {{valid: boolean, reason?: string}} - Whether the bundle checks out, and why not
+ */
+function verifyBalanceProof(bundle, { blockHash } = {}) {
+  if (typeof blockHash !== "string" || blockHash === "") {
+    return { valid: false, reason: "A trusted block hash is needed to tie the bundle to the chain" };
+  }
+  const { address, balance, block, proof } = bundle || {};
+  if (typeof address !== "string" || typeof balance !== "number" || !block || !Array.isArray(proof)) {
+    return { valid: false, reason: "Bundle needs an address, a balance, a block and a proof" };
+  }
+  const missing = HEADER_FIELDS.find((field) => block[field] === undefined || block[field] === null);
+  if (missing) {
+    return { valid: false, reason: `Block header lacks ${missing}` };
+  }
+
+  if (Block.hashHeader(block) !== block.hash) {
+    return { valid: false, reason: "Block header does not match its hash" };
+  }
+  const difficulty = Number(block.difficulty);
+  if (!Number.isInteger(difficulty) || !String(block.hash).startsWith("0".repeat(difficulty))) {
+    return { valid: false, reason: "Block hash does not meet its difficulty" };
+  }
+  if (!StateTree.verifyProof(address, balance, proof, block.stateRoot)) {
+    return { valid: false, reason: "Proof does not lead to the block's state root" };
+  }
+  if (block.hash !== blockHash) {
+    return { valid: false, reason: `Block hash ${block.hash} is not the expected ${blockHash}` };
+  }
+  return { valid: true };
+}
+
+// Build or check balance proofs from the command line:
+//   node src/balanceProof.js get <address> <height>
+//   node src/balanceProof.js verify <file> <blockHash>
+if (require.main === module) {
+  const fs = require("fs");
+  const [command, arg, extra] = process.argv.slice(2);
+
+  (async () => {
+    if (command === "get" && arg && extra !== undefined) {
+      await getStorage().connect();
+      const bundle = await getBalanceProof(arg, Number(extra));
+      if (!bundle) throw new Error(`The main chain has no block at height ${extra}`);
+      console.log(JSON.stringify(bundle, null, 2));
+      return true;
+    }
+    if (command === "verify" && arg && extra) {
+      const result = verifyBalanceProof(JSON.parse(fs.readFileSync(arg, "utf8")), {
+        blockHash: extra,
+      });
+      console.log(result.valid ? "Proof is valid" : `Proof is invalid: ${result.reason}`);
+      return result.valid;
+    }
+    throw new Error(
+      "Usage: node src/balanceProof.js get <address> <height> | verify <file> <blockHash>"
+    );
+  })()
+    .then((valid) => process.exit(valid ? 0 : 1))
+    .catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { getBalanceProof, verifyBalanceProof };
@@ -2,12 +2,21 @@
 
 const crypto = require("crypto"); // Required for creating cryptographic hashes
 const EC = require("elliptic").ec; // Required for elliptic curve cryptography
-const db = require("./db"); // Database module for interacting with the database
-const { Node, MerkleTree } = require("./merkleTree"); // Importing MerkleTree and Node classes
-const { acquireLock, releaseLock } = require("./lock"); // Assume lock.js handles locking mechanisms
+const { getStorage } = require("./storage"); // Pluggable storage backend (MySQL or in-memory)
+const { config } = require("./config"); // Settings from the environment and config file
+const { Node, MerkleTree, MERKLE_VERSION } = require("./merkleTree"); // Importing MerkleTree and Node classes
+const { acquireLock, renewLock, releaseLock } = require("./lock"); // Leases shared through the storage backend
+const { StateTree, EMPTY_STATE_ROOT } = require("./stateTree"); // Balance tree behind each block's state root
+const { HistoryPrunedError, LockLostError } = require("./errors");
 
 const ec = new EC("secp256k1"); // Initialize the elliptic curve for cryptography
-const { createNewWallet, loadWallet } = require('./wallet'); 
+const {
+  createNewWallet,
+  loadWallet,
+  publicKeyToAddress,
+  createMultisigAddress,
+  isValidAddress,
+} = require('./wallet');
 
 class Transaction {
   constructor(
@@ -16,7 +25,11 @@ class Transaction {
     amount,
     timestamp = Date.now(),
     signature = null,
-    blockHash = ""
+    blockHash = "",
+    nonce = 0,
+    fee = 0,
+    publicKey = null,
+    multisig = null
   ) {
     this.fromAddress = fromAddress; // Address sending the funds
     this.toAddress = toAddress; // Address receiving the funds
@@ -24,107 +37,227 @@ class Transaction {
     this.timestamp = timestamp; // Timestamp of when the transaction was created
     this.signature = signature; // Digital signature for transaction validation
     this.blockHash = blockHash; // Hash of the block this transaction is included in (if any)
+    this.nonce = nonce; // Per-sender sequence number, protects against replay
+    this.fee = fee; // Fee paid to the miner on top of the amount
+    this.publicKey = publicKey; // Sender's public key, must hash to fromAddress
+    // For multisig senders: { threshold, publicKeys, signatures: [{ publicKey, signature }] }
+    this.multisig = multisig;
     this.hash = this.calculateHash(); // Calculate the transaction hash
   }
 
-  // Calculate the hash of the transaction
+  // Calculate the hash of the transaction. The fields are hashed as a JSON
+  // array so that no two sets of fields share an encoding (nonce 1 and fee 23
+  // would read like nonce 12 and fee 3 if they were simply concatenated).
   calculateHash() {
     return crypto
       .createHash("sha256")
-      .update(this.fromAddress + this.toAddress + this.amount + this.timestamp)
+      .update(
+        JSON.stringify([
+          this.fromAddress,
+          this.toAddress,
+          this.amount,
+          this.timestamp,
+          this.nonce,
+          this.fee
+        ])
+      )
       .digest("hex");
   }
 
-  async signWithAddress(address) {
+  // Sign with the key stored in the wallet of the given address
+  async signWithAddress(address, passphrase) {
     try {
-      const wallet = loadWallet(address);
+      const wallet = loadWallet(address, passphrase);
       const privateKey = wallet.privateKey;
       const keyPair = ec.keyFromPrivate(privateKey);
-      
+
       // Sign the transaction
-      const hashTx = this.calculateHash();
-      const signature = keyPair.sign(hashTx, 'hex');
-      this.signature = signature.toDER('hex');
+      this.sign(keyPair);
     } catch (error) {
       throw new Error('Failed to sign with address: ' + error.message);
     }
   }
-  
-/*
+
   // Sign the transaction using the provided key pair
   sign(keyPair) {
+    if (this.multisig) {
+      this.addMultisigSignature(keyPair);
+      return;
+    }
+
     const hashTx = this.calculateHash(); // Get the hash of the transaction
+    const publicKey = keyPair.getPublic("hex");
 
-    // Allow signing if no sender address is specified (e.g., for reward transactions)
-    if (this.fromAddress && keyPair.getPublic("hex") !== this.fromAddress) {
+    // The key must belong to the sending address
+    if (this.fromAddress && publicKeyToAddress(publicKey) !== this.fromAddress) {
       throw new Error("You cannot sign transactions for other wallets!");
     }
 
     const sig = keyPair.sign(hashTx, "hex"); // Sign the transaction hash
     this.signature = sig.toDER("hex"); // Set the signature
+    this.publicKey = publicKey; // Attach the key so validators can check the address binding
+  }
+
+  // Turn this into a transaction spending from an M-of-N multisig address.
+  // Signers then add their signatures one at a time with sign(keyPair).
+  setMultisigPolicy(publicKeys, threshold) {
+    if (createMultisigAddress(publicKeys, threshold) !== this.fromAddress) {
+      throw new Error("Multisig keys and threshold do not match the sending address");
+    }
+    this.multisig = {
+      threshold,
+      publicKeys: [...publicKeys].sort(),
+      signatures: [],
+    };
+  }
+
+  // Add one signer's partial signature to a multisig transaction
+  addMultisigSignature(keyPair) {
+    const publicKey = keyPair.getPublic("hex");
+    if (!this.multisig.publicKeys.includes(publicKey)) {
+      throw new Error("Key is not part of this multisig address");
+    }
+
+    const signature = keyPair.sign(this.calculateHash(), "hex").toDER("hex");
+    this.multisig.signatures = this.multisig.signatures
+      .filter((entry) => entry.publicKey !== publicKey)
+      .concat({ publicKey, signature });
   }
-*/
+
+  // Check that enough distinct keys of the multisig policy signed this transaction
+  hasValidMultisig() {
+    const { threshold, publicKeys, signatures } = this.multisig;
+    try {
+      if (createMultisigAddress(publicKeys, threshold) !== this.fromAddress) {
+        return false; // The policy must be the one the address commits to
+      }
+    } catch (error) {
+      return false;
+    }
+
+    const hashToVerify = this.calculateHash();
+    const signers = new Set();
+    for (const { publicKey, signature } of signatures || []) {
+      if (!publicKeys.includes(publicKey) || signers.has(publicKey)) continue;
+      try {
+        if (ec.keyFromPublic(publicKey, "hex").verify(hashToVerify, signature)) {
+          signers.add(publicKey);
+        }
+      } catch (error) {
+        // Malformed signatures simply don't count
+      }
+    }
+    return signers.size >= threshold;
+  }
+
+  // Rebuild a transaction from its JSON form, e.g. to pass a partially signed
+  // multisig transaction between signers
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const tx = new Transaction(
+      data.fromAddress,
+      data.toAddress,
+      data.amount,
+      data.timestamp,
+      data.signature,
+      data.blockHash,
+      data.nonce,
+      data.fee,
+      data.publicKey,
+      data.multisig
+    );
+    tx.hash = data.hash;
+    return tx;
+  }
+
+  // Check that the hashed numeric fields are numbers, the way storage reads
+  // them back; a string amount or timestamp would change the hash once the
+  // transaction is saved and loaded again
+  hasValidFieldTypes() {
+    return (
+      typeof this.amount === "number" &&
+      Number.isFinite(this.amount) &&
+      typeof this.fee === "number" &&
+      Number.isFinite(this.fee) &&
+      Number.isInteger(this.timestamp) &&
+      Number.isInteger(this.nonce)
+    );
+  }
+
   // Validate the transaction
   isValid() {
     const hashToVerify = this.calculateHash(); // Calculate the hash to verify
     if (this.fromAddress === null) return true; // Allow transactions with no sender (e.g., mining reward)
+    if (this.multisig) return this.hasValidMultisig();
     if (!this.signature || this.signature.length === 0) {
       return false; // Transaction must be signed
     }
+    if (!this.publicKey || publicKeyToAddress(this.publicKey) !== this.fromAddress) {
+      return false; // The attached public key must hash to the sending address
+    }
     try {
-      const key = ec.keyFromPublic(this.fromAddress, "hex"); // Load the public key from the address
+      const key = ec.keyFromPublic(this.publicKey, "hex"); // Load the sender's public key
       return key.verify(hashToVerify, this.signature); // Verify the signature
     } catch (error) {
       return false; // If any error occurs, the transaction is invalid
     }
   }
 
-  // Save the transaction to the database
-  save() {
-    return new Promise((resolve, reject) => {
-      const query =
-        "INSERT INTO transactions (hash, from_address, to_address, amount, timestamp, signature, block_hash) VALUES (?, ?, ?, ?, ?, ?, ?)";
-      const values = [
-        this.hash,
-        this.fromAddress,
-        this.toAddress,
-        this.amount,
-        this.timestamp,
-        this.signature,
-        this.blockHash,
-      ];
-      db.query(query, values, (err, results) => {
-        if (err) {
-          return reject(err); // If there is an error, reject the promise
-        }
-        resolve(results); // Resolve with the database result
-      });
-    });
+  // Convert the transaction to a storage row
+  toRow() {
+    return {
+      hash: this.hash,
+      from_address: this.fromAddress,
+      to_address: this.toAddress,
+      amount: this.amount,
+      timestamp: this.timestamp,
+      signature: this.signature,
+      block_hash: this.blockHash,
+      nonce: this.nonce,
+      fee: this.fee,
+      public_key: this.publicKey,
+      multisig: this.multisig ? JSON.stringify(this.multisig) : null,
+    };
   }
 
-  // Load a transaction from the database
+  // Save the transaction to storage at the given position within its block
+  // Transactions of side-branch blocks are kept apart from the ledger
+  save(isMainChain = true, position = 0) {
+    return getStorage().insertTransaction({ ...this.toRow(), position }, isMainChain);
+  }
+
+  // Build a transaction from a transactions or branch_transactions row
+  static fromRow(txData) {
+    const tx = new Transaction(
+      txData.from_address,
+      txData.to_address,
+      txData.amount,
+      txData.timestamp,
+      txData.signature,
+      txData.block_hash,
+      txData.nonce,
+      txData.fee,
+      txData.public_key,
+      txData.multisig ? JSON.parse(txData.multisig) : null
+    );
+    tx.hash = txData.hash; // Set the hash
+    return tx;
+  }
+
+  // Load a confirmed transaction from storage
+  // A pruned node cannot tell an unknown transaction from a pruned one, so it throws instead
   static async load(hash) {
-    return new Promise((resolve, reject) => {
-      const query = "SELECT * FROM transactions WHERE hash = ?";
-      db.query(query, [hash], (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const txData = results[0]; // Get the transaction data from the result
-          const tx = new Transaction(
-            txData.from_address,
-            txData.to_address,
-            txData.amount,
-            txData.timestamp,
-            txData.signature,
-            txData.block_hash
-          );
-          tx.hash = txData.hash; // Set the hash
-          resolve(tx); // Resolve with the transaction object
-        } else {
-          resolve(null); // If no results found, resolve with null
-        }
-      });
-    });
+    const txData = await getStorage().getTransaction(hash);
+    if (txData) return Transaction.fromRow(txData);
+
+    const prunedHeight = await getStorage().getPrunedHeight();
+    if (prunedHeight > 0) {
+      throw new HistoryPrunedError(
+        `Transaction ${hash} not found; transactions below height ${prunedHeight} have been pruned`,
+        prunedHeight
+      );
+    }
+    return null; // Null if no transaction was found
   }
 
   // Add Solana-specific transaction handling
@@ -145,141 +278,226 @@ class Transaction {
     }
   }
 
-  async savePending() {
-    const query =
-      "INSERT INTO pending_transactions (hash, from_address, to_address, amount, timestamp, signature) VALUES (?, ?, ?, ?, ?, ?)";
-    const values = [
-      this.calculateHash(),
-      this.fromAddress,
-      this.toAddress,
-      this.amount,
-      this.timestamp,
-      this.signature,
-    ];
+  // Save the transaction to the pending pool, recording when the pool accepted it
+  async savePending(receivedAt = Date.now()) {
+    const { block_hash: blockHash, ...row } = this.toRow();
+    row.hash = this.calculateHash();
+    row.received_at = receivedAt;
 
-    console.log(`Saving transaction with hash: ${values[0]}`);
+    console.log(`Saving transaction with hash: ${row.hash}`);
     console.log(
       `Data to be saved: ${JSON.stringify({
-        hash: values[0],
-        fromAddress: values[1],
-        toAddress: values[2],
-        amount: values[3],
-        timestamp: values[4],
-        signature: values[5],
+        hash: row.hash,
+        fromAddress: row.from_address,
+        toAddress: row.to_address,
+        amount: row.amount,
+        timestamp: row.timestamp,
+        signature: row.signature,
+        nonce: row.nonce,
+        fee: row.fee,
+        publicKey: row.public_key,
+        multisig: row.multisig,
       })}`
     );
 
-    return new Promise((resolve, reject) => {
-      db.query(query, values, (err) => {
-        if (err) {
-          console.error("Error saving transaction:", err);
-          reject(err);
-        } else {
-          console.log("Transaction saved successfully");
-          resolve();
-        }
-      });
-    });
+    try {
+      await getStorage().insertPendingTransaction(row);
+      console.log("Transaction saved successfully");
+    } catch (err) {
+      console.error("Error saving transaction:", err);
+      throw err;
+    }
   }
 
   // Load all pending transactions
   static async loadPendingTransactions() {
-    console.log("Loading pending transactions from the database...");
-    return new Promise((resolve, reject) => {
-      const query = "SELECT * FROM pending_transactions";
-
-      db.query(query, (err, results) => {
-        if (err) {
-          console.error("Error loading pending transactions:", err);
-          return reject(err);
-        }
+    console.log("Loading pending transactions from storage...");
+    let results;
+    try {
+      results = await getStorage().getPendingTransactions();
+    } catch (err) {
+      console.error("Error loading pending transactions:", err);
+      throw err;
+    }
 
-        console.log(`Retrieved ${results.length} pending transactions`);
+    console.log(`Retrieved ${results.length} pending transactions`);
 
-        const transactions = results.map((txData) => {
-          const tx = new Transaction(
-            txData.from_address,
-            txData.to_address,
-            txData.amount,
-            txData.timestamp,
-            txData.signature
-          );
-          tx.hash = txData.hash;
-          return tx;
-        });
+    const transactions = results.map((txData) =>
+      Transaction.fromRow({ ...txData, block_hash: "" })
+    );
 
-        console.log(
-          "Loaded transactions:",
-          transactions.map((tx) => ({
-            hash: tx.hash,
-            fromAddress: tx.fromAddress,
-            toAddress: tx.toAddress,
-            amount: tx.amount,
-            timestamp: tx.timestamp,
-            signature: tx.signature,
-          }))
-        );
+    console.log(
+      "Loaded transactions:",
+      transactions.map((tx) => ({
+        hash: tx.hash,
+        fromAddress: tx.fromAddress,
+        toAddress: tx.toAddress,
+        amount: tx.amount,
+        timestamp: tx.timestamp,
+        signature: tx.signature,
+        nonce: tx.nonce,
+        fee: tx.fee,
+        publicKey: tx.publicKey,
+        multisig: tx.multisig,
+      }))
+    );
 
-        resolve(transactions);
-      });
-    });
+    return transactions;
   }
 
-  // Verify that the pending transactions are saved in the database
+  // Verify that the pending transactions are saved in storage
   static async verifyPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = "SELECT * FROM pending_transactions";
-      db.query(query, (err, results) => {
-        if (err) return reject(err);
-        const transactions = results.map((txData) => {
-          const tx = new Transaction(
-            txData.from_address,
-            txData.to_address,
-            txData.amount,
-            txData.timestamp,
-            txData.signature
-          );
-          tx.hash = txData.hash; // Ensure hash is set here
-          return tx;
-        });
-        console.log("Pending Transactions:", transactions);
-        resolve(transactions);
-      });
-    });
+    const results = await getStorage().getPendingTransactions();
+    const transactions = results.map((txData) =>
+      Transaction.fromRow({ ...txData, block_hash: "" })
+    );
+    console.log("Pending Transactions:", transactions);
+    return transactions;
+  }
+}
+
+// Materialized balances of every address, kept in the account_state table.
+// Rows are updated whenever a block joins or leaves the main chain, so
+// balance queries never have to scan the transactions table.
+class AccountState {
+  // Balance changes caused by a list of transactions, by address
+  static getBalanceChanges(transactions) {
+    const changes = new Map();
+    const addChange = (address, delta) => {
+      changes.set(address, (changes.get(address) || 0) + delta);
+    };
+    for (const tx of transactions) {
+      if (tx.fromAddress !== null) {
+        addChange(tx.fromAddress, -(Number(tx.amount) + Number(tx.fee)));
+      }
+      addChange(tx.toAddress, Number(tx.amount));
+    }
+    return changes;
+  }
+
+  // Apply a block's balance changes (direction 1) or undo them (direction -1)
+  static async applyBlock(block, direction = 1) {
+    const changes = AccountState.getBalanceChanges(block.transactions);
+    for (const [address, delta] of changes) {
+      changes.set(address, delta * direction);
+    }
+    await getStorage().applyBalanceChanges(changes);
+  }
+
+  // Read the materialized balance of an address
+  static async getBalance(address) {
+    return getStorage().getBalance(address);
+  }
+
+  // The ledger is incomplete once transactions have been pruned
+  static async assertLedgerComplete() {
+    const prunedHeight = await getStorage().getPrunedHeight();
+    if (prunedHeight > 0) {
+      throw new HistoryPrunedError(
+        `Balances cannot be recomputed: transactions below height ${prunedHeight} have been pruned`,
+        prunedHeight
+      );
+    }
+  }
+
+  // Recompute the whole table from the transactions on the main chain
+  static async rebuild() {
+    await AccountState.assertLedgerComplete();
+    const balances = await getStorage().getLedgerBalances();
+    await getStorage().replaceBalances(balances);
+    console.log(`Rebuilt account state for ${balances.size} addresses`);
+    return balances.size;
+  }
+
+  // Compare the table with the ledger and list every address that disagrees
+  static async check() {
+    await AccountState.assertLedgerComplete();
+    const expected = await getStorage().getLedgerBalances();
+    const stored = await getStorage().getBalances();
+
+    const mismatches = [];
+    for (const address of new Set([...expected.keys(), ...stored.keys()])) {
+      const expectedBalance = expected.get(address) || 0;
+      const storedBalance = stored.get(address) || 0;
+      if (expectedBalance !== storedBalance) {
+        mismatches.push({ address, stored: storedBalance, expected: expectedBalance });
+      }
+    }
+    return mismatches;
   }
 }
 
+// Fields of a block header as getHeader returns them: what hashHeader covers,
+// plus the hash itself. Proof verifiers require every one of them.
+const HEADER_FIELDS = [
+  "index",
+  "hash",
+  "previousHash",
+  "merkleRoot",
+  "merkleVersion",
+  "stateRoot",
+  "transactionsDigest",
+  "timestamp",
+  "nonce",
+  "difficulty"
+];
+
 class Block {
-  constructor(index, previousHash, timestamp, transactions, difficulty) {
+  constructor(index, previousHash, timestamp, transactions, difficulty, merkleVersion = MERKLE_VERSION) {
     this.index = index; // Block index in the blockchain
     this.previousHash = previousHash; // Hash of the previous block
     this.timestamp = timestamp; // Timestamp of when the block was created
     this.transactions = transactions; // Array of transactions in this block
     this.difficulty = difficulty; // Mining difficulty for this block
+    this.merkleVersion = merkleVersion; // How the Merkle tree is hashed (see MERKLE_VERSION)
     this.merkleRoot = this.calculateMerkleRoot(); // Root hash of the Merkle tree
+    this.stateRoot = null; // Root of the balance tree after this block; set before mining (see Blockchain.computeStateRoot)
     this.nonce = 0; // Nonce for mining (initially set to 0)
     this.hash = this.calculateHash(); // Calculate the block hash
   }
 
-  // Calculate the Merkle root for the transactions in the block
+  // Calculate the Merkle root for the transactions in the block, hashed the way
+  // the block's Merkle version requires. Version 2 blocks cannot repeat a transaction.
+  // Blocks with a state root also cover the version in their hash (see
+  // hashHeader); older ones rely on a root only matching the transactions
+  // under the version it was built with.
   calculateMerkleRoot() {
     if (this.transactions.length === 0) {
       return "0".repeat(64); // Return a default hash if there are no transactions
     }
     const hashes = this.transactions.map((tx) => tx.hash); // Get hashes of all transactions
-    const merkleTree = new MerkleTree(hashes); // Create a Merkle tree with the transaction hashes
+    const merkleTree = new MerkleTree(hashes, this.merkleVersion); // Create a Merkle tree with the transaction hashes
     return merkleTree.getRootHash(); // Get the root hash of the Merkle tree
   }
 
-  // Calculate the hash of the block
-  calculateHash() {
-    const transactionsData = JSON.stringify(
+  // Check that no transaction appears in the block twice
+  hasUniqueTransactions() {
+    return new Set(this.transactions.map((tx) => tx.hash)).size === this.transactions.length;
+  }
+
+  // The transactions as the block hash covers them
+  serializeTransactions() {
+    return JSON.stringify(
       this.transactions.map((tx) => {
         const { blockHash, ...txWithoutBlockHash } = tx; // Exclude blockHash from transaction data
         return txWithoutBlockHash; // Convert transactions to JSON string
       })
     );
+  }
 
+  // Digest of the serialized transactions, signatures included
+  calculateTransactionsDigest() {
+    return crypto.createHash("sha256").update(this.serializeTransactions()).digest("hex");
+  }
+
+  // Calculate the hash of the block. Blocks with a state root hash their
+  // header (see hashHeader); blocks from before state roots keep their hashes.
+  calculateHash() {
+    if (this.stateRoot !== null) {
+      return Block.hashHeader({ ...this, transactionsDigest: this.calculateTransactionsDigest() });
+    }
+
+    const transactionsData = this.serializeTransactions();
     return crypto
       .createHash("sha256")
       .update(
@@ -292,8 +510,57 @@ class Block {
       .digest("hex");
   }
 
+  // Hash of a block header. The transactions enter as their digest, so a
+  // header can be checked without its transactions. The height, difficulty
+  // and Merkle version are covered too, so a proof cannot claim other ones.
+  static hashHeader({
+    index,
+    previousHash,
+    timestamp,
+    merkleRoot,
+    merkleVersion,
+    stateRoot,
+    transactionsDigest,
+    difficulty,
+    nonce
+  }) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          Number(index),
+          previousHash,
+          Number(timestamp),
+          merkleRoot,
+          Number(merkleVersion),
+          stateRoot,
+          transactionsDigest,
+          Number(difficulty),
+          Number(nonce)
+        ])
+      )
+      .digest("hex");
+  }
+
+  // The header fields hashHeader covers, plus the block's hash (see HEADER_FIELDS)
+  getHeader() {
+    return {
+      index: Number(this.index),
+      hash: this.hash,
+      previousHash: this.previousHash,
+      merkleRoot: this.merkleRoot,
+      merkleVersion: Number(this.merkleVersion),
+      stateRoot: this.stateRoot,
+      transactionsDigest: this.calculateTransactionsDigest(),
+      timestamp: Number(this.timestamp),
+      nonce: Number(this.nonce),
+      difficulty: Number(this.difficulty),
+    };
+  }
+
   // Mine the block by finding a hash that meets the difficulty requirements
   mineBlock(difficulty) {
+    this.hash = this.calculateHash(); // Cover fields set since construction, e.g. the state root
     while (
       this.hash.substring(0, difficulty) !== Array(difficulty + 1).join("0")
     ) {
@@ -302,10 +569,21 @@ class Block {
     }
   }
 
+  // Expected number of hashes needed to mine this block (16 per leading hex zero)
+  getWork() {
+    return 16n ** BigInt(this.difficulty);
+  }
+
+  // Check that the block hash has as many leading zeros as its difficulty requires
+  hasValidProofOfWork() {
+    const difficulty = Number(this.difficulty);
+    return this.hash.substring(0, difficulty) === "0".repeat(difficulty);
+  }
+
   // Check if all transactions in the block are valid
   hasValidTransactions() {
     for (const tx of this.transactions) {
-      if (!tx.isValid()) {
+      if (!tx.hasValidFieldTypes() || !tx.isValid()) {
         console.error(`Invalid transaction: ${tx.hash}`); // Log invalid transactions
         return false;
       }
@@ -313,143 +591,233 @@ class Block {
     return true; // All transactions are valid
   }
 
-  // Save the block to the database
-  async save() {
-    const query =
-      "INSERT INTO blocks (hash, previous_hash, timestamp, nonce, difficulty, merkle_root, `index`) VALUES (?, ?, ?, ?, ?, ?, ?)";
-    const values = [
-      this.hash,
-      this.previousHash,
-      this.timestamp,
-      this.nonce,
-      this.difficulty,
-      this.merkleRoot,
-      this.index,
-    ];
-    return new Promise((resolve, reject) => {
-      db.query(query, values, async (err, results) => {
-        if (err) {
-          return reject(err);
-        }
-        try {
-          for (const tx of this.transactions) {
-            tx.blockHash = this.hash;
-            await tx.save();
-          }
-
-          const merkleTree = new MerkleTree(
-            this.transactions.map((tx) => tx.hash)
-          );
-          await merkleTree.saveNodesToDatabase(this.hash);
-
-          // Store Merkle proofs
-          for (const tx of this.transactions) {
-            const proof = merkleTree.getProof(tx.hash);
-            await this.saveMerkleProof(tx.hash, proof);
-          }
+  // Convert the block header to a storage row
+  toRow(isMainChain = true) {
+    return {
+      hash: this.hash,
+      previous_hash: this.previousHash,
+      timestamp: this.timestamp,
+      nonce: this.nonce,
+      difficulty: this.difficulty,
+      merkle_root: this.merkleRoot,
+      merkle_version: this.merkleVersion,
+      state_root: this.stateRoot,
+      index: this.index,
+      is_main_chain: isMainChain ? 1 : 0,
+    };
+  }
 
-          resolve(results);
-        } catch (saveErr) {
-          reject(saveErr);
-        }
+  // Save the block to storage, either on the main chain or on a side branch.
+  // The block row, its transactions, its Merkle data, the account balances and
+  // the removal of its transactions from the pending pool are written in one
+  // storage transaction, so a failure leaves nothing behind. `precondition`
+  // runs first inside that transaction and throws to stop the save.
+  async save(isMainChain = true, precondition = null) {
+    const storage = getStorage();
+    await storage.transaction(async () => {
+      if (precondition) await precondition();
+      await storage.insertBlock(this.toRow(isMainChain));
+      this.transactions.forEach((tx) => {
+        tx.blockHash = this.hash;
       });
+      await storage.insertTransactions(
+        this.transactions.map((tx, position) => ({ ...tx.toRow(), position })),
+        isMainChain
+      );
+      await this.saveMerkleData();
+      if (isMainChain) {
+        await AccountState.applyBlock(this);
+        await storage.deletePendingTransactions(this.transactions.map((tx) => tx.hash));
+      }
     });
   }
 
+  // Save the Merkle tree nodes and, unless the proof cache is off, a proof for
+  // every transaction in the block
+  async saveMerkleData() {
+    const merkleTree = new MerkleTree(
+      this.transactions.map((tx) => tx.hash),
+      this.merkleVersion
+    );
+    await merkleTree.saveNodesToDatabase(this.hash);
+    if (!config.chain.cacheMerkleProofs) return;
+
+    // Store Merkle proofs
+    await getStorage().insertMerkleProofs(
+      this.hash,
+      this.transactions.map((tx) => ({
+        transactionHash: tx.hash,
+        proof: merkleTree.getProof(tx.hash),
+      }))
+    );
+  }
+
   async saveMerkleProof(transactionHash, proof) {
-    const query =
-      "INSERT INTO merkle_proof_paths (block_hash, transaction_hash, proof_path) VALUES (?, ?, ?)";
-    const values = [this.hash, transactionHash, JSON.stringify(proof)];
-    return new Promise((resolve, reject) => {
-      db.query(query, values, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    await getStorage().insertMerkleProof(this.hash, transactionHash, proof);
   }
 
-  // Load a block from the database
-  static async load(hash) {
-    const query = "SELECT * FROM blocks WHERE hash = ?";
-    return new Promise((resolve, reject) => {
-      db.query(query, [hash], async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const result = results[0]; // Get the block data from the result
-          const block = new Block(
-            result.index,
-            result.previous_hash,
-            result.timestamp,
-            [],
-            result.difficulty
-          );
-          block.hash = result.hash; // Set the block hash
-          block.nonce = result.nonce; // Set the nonce
-          block.merkleRoot = result.merkle_root; // Set the Merkle root
-
-          // Load transactions for the block
-          const txQuery = "SELECT hash FROM transactions WHERE block_hash = ?";
-          db.query(txQuery, [block.hash], async (err, txResults) => {
-            if (err) return reject(err); // If there is an error, reject the promise
-            for (const tx of txResults) {
-              const transaction = await Transaction.load(tx.hash); // Load each transaction
-              if (transaction) {
-                if (!transaction.isValid()) {
-                  console.error(
-                    `Invalid transaction in block ${block.index}: ${tx.hash}`
-                  );
-                  return reject(
-                    new Error(`Invalid transaction in block ${block.index}`)
-                  );
-                }
-                block.transactions.push(transaction); // Add valid transactions to the block
-              }
-            }
-            // Validate the block's hash and Merkle root
-            if (block.hash !== block.calculateHash()) {
-              console.error(`Invalid block hash for block ${block.index}`);
-              return reject(
-                new Error(`Invalid block hash for block ${block.index}`)
-              );
-            }
-            if (block.merkleRoot !== block.calculateMerkleRoot()) {
-              console.error(`Invalid Merkle root for block ${block.index}`);
-              return reject(
-                new Error(`Invalid Merkle root for block ${block.index}`)
-              );
-            }
-            resolve(block); // Resolve with the block object
-          });
-        } else {
-          resolve(null); // If no results found, resolve with null
-        }
-      });
-    });
+  // Move this block's transactions out of the ledger when it leaves the main chain
+  async moveToSideBranch() {
+    const storage = getStorage();
+    await storage.moveBlockTransactions(this.hash, false);
+    await storage.setBlockMainChain(this.hash, false);
+    await AccountState.applyBlock(this, -1);
+  }
+
+  // Move this block's transactions into the ledger when it joins the main chain
+  async moveToMainChain() {
+    const storage = getStorage();
+    await storage.moveBlockTransactions(this.hash, true);
+    await storage.setBlockMainChain(this.hash, true);
+    await AccountState.applyBlock(this);
+  }
+
+  // Build a block from a blocks row, without validating it
+  // Rows without a Merkle version, e.g. from older snapshots, predate version 2
+  static fromRow(result, transactions = []) {
+    const block = new Block(
+      result.index,
+      result.previous_hash,
+      result.timestamp,
+      transactions,
+      result.difficulty,
+      result.merkle_version === undefined ? 1 : Number(result.merkle_version)
+    );
+    block.hash = result.hash; // Set the block hash
+    block.nonce = result.nonce; // Set the nonce
+    block.merkleRoot = result.merkle_root; // Set the Merkle root
+    block.stateRoot = result.state_root || null; // Set the state root, if the block has one
+    return block;
+  }
+
+  // Load a block from storage
+  // When expectedDifficulty is given, the stored difficulty must match it
+  static async load(hash, expectedDifficulty) {
+    const result = await getStorage().getBlock(hash);
+    if (!result) {
+      return null; // If no results found, resolve with null
+    }
+    const prunedHeight = await getStorage().getPrunedHeight();
+    if (Number(result.index) < prunedHeight) {
+      throw new HistoryPrunedError(
+        `Transactions of block ${result.index} have been pruned`,
+        prunedHeight
+      );
+    }
+
+    // Load transactions for the block; side-branch blocks keep theirs apart from the ledger
+    const txResults = await getStorage().getBlockTransactions(
+      result.hash,
+      Number(result.is_main_chain) !== 0
+    );
+    const block = Block.fromRow(
+      result,
+      txResults.map((txData) => Transaction.fromRow(txData))
+    );
+    block.validate(expectedDifficulty);
+    return block; // Resolve with the block object
+  }
+
+  // Check the coinbase: a block may pay its miner with one transaction without
+  // a sender, of exactly the mining reward plus the fees of the other
+  // transactions. The genesis block's coinbase funds the chain and is exempt.
+  hasValidCoinbase(miningReward) {
+    if (Number(this.index) === 0) return true;
+    const coinbases = this.transactions.filter((tx) => tx.fromAddress === null);
+    if (coinbases.length === 0) return true; // The miner gave up the reward
+    if (coinbases.length > 1) return false;
+
+    // Summed in block order, the way minePendingTransactions sums them
+    const fees = this.transactions
+      .filter((tx) => tx.fromAddress !== null)
+      .reduce((total, tx) => total + Number(tx.fee), 0);
+    return Number(coinbases[0].amount) === miningReward + fees;
+  }
+
+  // Check a block read from storage, throwing if anything about it is invalid
+  // When expectedDifficulty is given, the stored difficulty must match it, and
+  // when miningReward is given, the coinbase must pay exactly the reward and fees
+  validate(expectedDifficulty, miningReward) {
+    for (const transaction of this.transactions) {
+      if (!transaction.isValid()) {
+        console.error(`Invalid transaction in block ${this.index}: ${transaction.hash}`);
+        throw new Error(`Invalid transaction in block ${this.index}`);
+      }
+    }
+
+    // Validate the block's hash and Merkle root
+    if (this.hash !== this.calculateHash()) {
+      console.error(`Invalid block hash for block ${this.index}`);
+      throw new Error(`Invalid block hash for block ${this.index}`);
+    }
+    if (!this.hasUniqueTransactions()) {
+      console.error(`Duplicate transaction in block ${this.index}`);
+      throw new Error(`Duplicate transaction in block ${this.index}`);
+    }
+    if (this.merkleRoot !== this.calculateMerkleRoot()) {
+      console.error(`Invalid Merkle root for block ${this.index}`);
+      throw new Error(`Invalid Merkle root for block ${this.index}`);
+    }
+    if (miningReward !== undefined && !this.hasValidCoinbase(miningReward)) {
+      console.error(`Invalid coinbase for block ${this.index}`);
+      throw new Error(`Invalid coinbase for block ${this.index}`);
+    }
+    // Validate the difficulty schedule and the proof-of-work
+    if (
+      expectedDifficulty !== undefined &&
+      Number(this.difficulty) !== expectedDifficulty
+    ) {
+      console.error(`Invalid difficulty for block ${this.index}`);
+      throw new Error(`Invalid difficulty for block ${this.index}`);
+    }
+    if (!this.hasValidProofOfWork()) {
+      console.error(`Insufficient proof-of-work for block ${this.index}`);
+      throw new Error(`Insufficient proof-of-work for block ${this.index}`);
+    }
   }
 }
 
 class Blockchain {
-  constructor() {
-    this.chain = []; // Start with the genesis block
-    this.difficulty = 0; // Initial difficulty (for mining)
-    this.pendingTransactions = []; // Transactions waiting to be mined
+  // Pass { createGenesis: false } to start empty, e.g. when loading from storage
+  constructor({ createGenesis = true } = {}) {
+    this.chain = []; // Most recent main-chain blocks, starting with the genesis block
+    this.sideBlocks = new Map(); // Blocks on competing branches, by hash
+    this.chainWork = new Map(); // Cumulative proof-of-work up to each known block, by hash
+    this.difficulty = 0; // Current difficulty (for mining), recomputed by retargeting
+    this.initialDifficulty = 0; // Difficulty of the genesis block and first retarget window
+    this.targetBlockTime = 10000; // Desired time between blocks in milliseconds
+    this.retargetInterval = 10; // Number of blocks between difficulty adjustments
+    this.maxDifficultyAdjustment = 1; // Largest difficulty change allowed per retarget
+    // Main-chain blocks kept in memory; at least one retarget window is needed
+    this.headerWindow = Math.max(config.chain.headerWindow, this.retargetInterval + 1);
+    this.loadPageSize = config.chain.loadPageSize; // Blocks read per page by Blockchain.load
+    this.checkpointInterval = config.chain.checkpointInterval; // Heights eligible as checkpoints
+    this.checkpointConfirmations = config.chain.checkpointConfirmations; // Depth before checkpointing
+    this.checkpoint = null; // Highest verified block: { height, hash }; no reorganization goes below it
+    this.mode = config.chain.mode; // "archival" keeps every block's transactions, "pruned" drops old ones
+    this.pruneDepth = config.chain.pruneDepth; // Most recent blocks a pruned node keeps transactions for
+    this.prunedHeight = 0; // Blocks below this height have no transactions or Merkle data in storage
+    this.pendingTransactions = []; // Transactions waiting to be mined, in arrival order
+    this.pendingReceivedAt = new Map(); // When each pending transaction was accepted, by hash
+    this.mempoolMaxAge = config.mempool.maxAge; // Milliseconds before a pending transaction expires
+    this.mempoolMaxSize = config.mempool.maxSize; // Most pending transactions kept at once
     this.miningReward = 100; // Reward for mining a new block
     this.transactionThreshold = 2; // Number of transactions required to mine a block
-    this.minerAddress = "59a8277a36bffda17f9a997e5f7c23"; // Set your miner address here
-    this.genesisAddress = "6c7f05cca415fd2073de8ea8853834"; 
+    this.minerAddress = "1AjQcH1CTyFKo5gtoifwj17e8GcbjjtBAC"; // Set your miner address here
+    this.genesisAddress = "1CbjJh76YuQGJq4uNkkcwR1jyUhtnFipgM"; 
     console.log(
       "Blockchain initialized with transaction threshold:",
       this.transactionThreshold
     );
 
-    // Initialize the blockchain with the genesis block
-    this.initializeGenesisBlock();
+    // Initialize the blockchain with the genesis block; await `ready` before using the chain
+    this.ready = createGenesis ? this.initializeGenesisBlock() : Promise.resolve();
   }
 
   // Create the first block of the blockchain (genesis block)
   initializeGenesisBlock() {
     console.log("Creating genesis block...");
-    this.createGenesisBlockWithReward("6c7f05cca415fd2073de8ea8853834", 1000000); // Adjust address and reward as needed
+    return this.createGenesisBlockWithReward(this.genesisAddress, 1000000); // Adjust address and reward as needed
   }
 
   // Create the genesis block with a reward transaction
@@ -458,6 +826,7 @@ class Blockchain {
     rewardTx.hash = rewardTx.calculateHash();
     rewardTx.signature = null; // Reward transactions don't need a signature
 
+    this.difficulty = this.getDifficultyForHeight(0);
     const genesisBlock = new Block(
       0,
       "0",
@@ -465,11 +834,10 @@ class Blockchain {
       [rewardTx], // Include reward transaction in the genesis block
       this.difficulty
     );
+    genesisBlock.stateRoot = await this.computeStateRoot(genesisBlock);
     genesisBlock.mineBlock(this.difficulty);
 
-    this.chain.push(genesisBlock);
-
-    await genesisBlock.save(); // Save the block to the database
+    await this.appendBlock(genesisBlock); // Add to the chain and save to the database
 
     // Update the balance of the genesis address
     // await this.updateWalletBalance(genesisAddress, initialReward);
@@ -479,11 +847,544 @@ class Blockchain {
     );
   }
 
+  // Get the difficulty required for the block at the given height.
+  // Every retargetInterval blocks the difficulty moves by the number of hex
+  // digits (factors of 16) the last window was off target, clamped to
+  // maxDifficultyAdjustment; in between it is copied from the previous block.
+  // `blocks` is a run of consecutive blocks, which may start above the genesis
+  // block when only recent headers are kept; at retarget heights it must reach
+  // back to the start of the window (see loadDifficultyForHeight).
+  getDifficultyForHeight(height, blocks = this.chain) {
+    if (height === 0) {
+      return this.initialDifficulty;
+    }
+
+    const base = Number(blocks[0].index); // Height of blocks[0]
+    const previousDifficulty = Number(blocks[height - 1 - base].difficulty);
+    if (height % this.retargetInterval !== 0) {
+      return previousDifficulty;
+    }
+
+    if (height - this.retargetInterval < base) {
+      throw new Error(`Retargeting height ${height} needs block ${height - this.retargetInterval}, which is not in memory`);
+    }
+    const firstBlock = blocks[height - this.retargetInterval - base];
+    const lastBlock = blocks[height - 1 - base];
+    const expectedTime = this.targetBlockTime * (this.retargetInterval - 1);
+    const actualTime = Math.max(
+      Number(lastBlock.timestamp) - Number(firstBlock.timestamp),
+      1
+    );
+
+    const adjustment = Math.round(Math.log(expectedTime / actualTime) / Math.log(16));
+    const clampedAdjustment = Math.max(
+      -this.maxDifficultyAdjustment,
+      Math.min(this.maxDifficultyAdjustment, adjustment)
+    );
+    return Math.max(0, previousDifficulty + clampedAdjustment);
+  }
+
+  // Like getDifficultyForHeight, but reads the start of the retarget window
+  // from storage when `blocks` no longer reaches back to it, e.g. for a side
+  // branch forking just above the oldest block kept in memory. Below that
+  // block every branch shares the stored main chain.
+  async loadDifficultyForHeight(height, blocks = this.chain) {
+    const windowStart = height - this.retargetInterval;
+    const base = Number(blocks[0].index);
+    if (height % this.retargetInterval !== 0 || windowStart >= base) {
+      return this.getDifficultyForHeight(height, blocks);
+    }
+    const page = await getStorage().getMainChainPage(windowStart, base - windowStart);
+    return this.getDifficultyForHeight(height, page.blocks.concat(blocks));
+  }
+
   // Get the latest block in the blockchain
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
+  // Get the height the next main-chain block will have
+  getHeight() {
+    const latest = this.getLatestBlock();
+    return latest ? Number(latest.index) + 1 : 0;
+  }
+
+  // Remember the cumulative work up to a block, based on its parent
+  recordChainWork(block) {
+    const parentWork = this.chainWork.get(block.previousHash) || 0n;
+    const work = parentWork + block.getWork();
+    this.chainWork.set(block.hash, work);
+    return work;
+  }
+
+  // Extend the main chain with a locally created block and save it. The
+  // in-memory chain only takes the block once it is saved. See Block.save
+  // for `precondition`.
+  async appendBlock(block, precondition = null) {
+    await block.save(true, precondition);
+    this.pushMainBlock(block);
+    await this.updateCheckpoint();
+    await this.prune();
+  }
+
+  // Take in the main-chain blocks that other processes sharing the storage,
+  // e.g. another miner, have saved on top of this node's tip
+  async syncMainChain() {
+    const tip = this.getLatestBlock();
+    const rows = await getStorage().getBlocks(true, Number(tip.index));
+    if (rows.length === 0 || rows[0].hash !== tip.hash) {
+      throw new Error(`Block ${tip.index} is no longer on the stored main chain; reload the chain`);
+    }
+
+    const added = [];
+    for (const row of rows.slice(1)) {
+      const block = await Block.load(row.hash, this.getDifficultyForHeight(Number(row.index)));
+      this.pushMainBlock(block);
+      added.push(block);
+    }
+    if (added.length > 0) {
+      await this.removeMinedFromPool(added);
+      console.log(`Caught up with ${added.length} block(s) saved by another process`);
+    }
+  }
+
+  // Root of the balance tree once a block is applied on top of its parent,
+  // storing the tree's new nodes. Blocks mined here get it as their state root;
+  // blocks from elsewhere must carry the same root.
+  // Throws if a sender spends more than it holds at that point in the block.
+  async computeStateRoot(block) {
+    const parentRoot = await this.getParentStateRoot(block);
+    const parentBalances = new Map();
+    const parentBalance = async (address) => {
+      if (!parentBalances.has(address)) {
+        parentBalances.set(address, await StateTree.getBalance(parentRoot, address));
+      }
+      return parentBalances.get(address);
+    };
+
+    // Replay the transactions in order against the parent's balances
+    const running = new Map();
+    for (const tx of block.transactions) {
+      if (tx.fromAddress !== null) {
+        const before = running.has(tx.fromAddress)
+          ? running.get(tx.fromAddress)
+          : await parentBalance(tx.fromAddress);
+        const after = before - (Number(tx.amount) + Number(tx.fee));
+        if (after < 0) {
+          throw new Error(`Block overdraws ${tx.fromAddress}`);
+        }
+        running.set(tx.fromAddress, after);
+      }
+      const received = running.has(tx.toAddress)
+        ? running.get(tx.toAddress)
+        : await parentBalance(tx.toAddress);
+      running.set(tx.toAddress, received + Number(tx.amount));
+    }
+
+    // Apply the net changes the way AccountState does, so both agree to the last digit
+    const balances = new Map();
+    for (const [address, delta] of AccountState.getBalanceChanges(block.transactions)) {
+      balances.set(address, (await parentBalance(address)) + delta);
+    }
+    return StateTree.update(parentRoot, balances);
+  }
+
+  // State root a block builds on. A parent from before state roots has none;
+  // at the main-chain tip its balances are those of the account_state table.
+  async getParentStateRoot(block) {
+    if (Number(block.index) === 0) return EMPTY_STATE_ROOT;
+
+    const parent =
+      this.chain.find((candidate) => candidate.hash === block.previousHash) ||
+      this.sideBlocks.get(block.previousHash);
+    const row = parent ? null : await getStorage().getBlock(block.previousHash);
+    if (!parent && !row) {
+      throw new Error(`Unknown parent block ${block.previousHash}`);
+    }
+    const parentRoot = parent ? parent.stateRoot : row.state_root;
+    if (parentRoot) return parentRoot;
+
+    if (this.chain.length > 0 && block.previousHash === this.getLatestBlock().hash) {
+      return StateTree.fromBalances(await getStorage().getBalances());
+    }
+    throw new Error(`Parent block ${block.previousHash} has no state root`);
+  }
+
+  // Add a block to the in-memory main chain
+  pushMainBlock(block) {
+    this.recordChainWork(block);
+    this.chain.push(block);
+    this.trimChain();
+  }
+
+  // Forget main-chain blocks older than the header window, and side branches
+  // that fork below it, since a reorganization can no longer reach them
+  trimChain() {
+    const excess = this.chain.length - this.headerWindow;
+    if (excess <= 0) return;
+
+    for (const block of this.chain.splice(0, excess)) {
+      this.chainWork.delete(block.hash);
+    }
+    const lowestIndex = Number(this.chain[0].index);
+    for (const [hash, block] of this.sideBlocks) {
+      if (Number(block.index) <= lowestIndex) {
+        this.sideBlocks.delete(hash);
+        this.chainWork.delete(hash);
+      }
+    }
+  }
+
+  // Record a checkpoint at the highest multiple of checkpointInterval that is
+  // buried under at least checkpointConfirmations blocks
+  async updateCheckpoint() {
+    const buried = this.getHeight() - 1 - this.checkpointConfirmations;
+    const height = buried - (buried % this.checkpointInterval);
+    if (height <= 0 || (this.checkpoint && height <= this.checkpoint.height)) return;
+
+    const block = this.chain[height - Number(this.chain[0].index)];
+    if (!block) return; // Already trimmed from memory
+    await getStorage().saveCheckpoint({ height, block_hash: block.hash });
+    this.checkpoint = { height, hash: block.hash };
+    console.log(`Checkpoint recorded at height ${height}`);
+  }
+
+  // On a pruned node, delete the transactions and Merkle data of blocks more
+  // than pruneDepth below the tip. Only checkpointed blocks are pruned: they
+  // can never be reorganized away, and loading trusts them without their
+  // transactions.
+  async prune() {
+    if (this.mode !== "pruned" || !this.checkpoint) return;
+    const height = Math.min(this.getHeight() - this.pruneDepth, this.checkpoint.height + 1);
+    if (height <= this.prunedHeight) return;
+
+    await getStorage().pruneBlocks(height);
+    this.prunedHeight = height;
+    console.log(`Pruned transactions and Merkle data below height ${height}`);
+  }
+
+  // Describe what this node can serve, for peers and clients
+  getNodeInfo() {
+    return {
+      mode: this.mode,
+      height: this.getHeight(),
+      pruneDepth: this.mode === "pruned" ? this.pruneDepth : null,
+      prunedHeight: this.prunedHeight, // Lowest height with transactions and proofs
+    };
+  }
+
+  // Find the highest stored checkpoint whose block is still on the main chain
+  async findCheckpoint() {
+    for (const checkpoint of await getStorage().getCheckpoints()) {
+      const row = await getStorage().getBlock(checkpoint.block_hash);
+      if (row && Number(row.is_main_chain) === 1 && Number(row.index) === checkpoint.height) {
+        return { height: checkpoint.height, hash: checkpoint.block_hash };
+      }
+      console.warn(`Ignoring checkpoint at height ${checkpoint.height}: block is not on the main chain`);
+    }
+    return null;
+  }
+
+  // Add the confirmed nonce of each sender in `blocks` from below `beforeIndex`
+  // to lastNonces, for senders not already in it
+  async loadConfirmedNonces(blocks, beforeIndex, lastNonces) {
+    if (beforeIndex <= 0) return;
+    for (const block of blocks) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress === null || lastNonces.has(tx.fromAddress)) continue;
+        const nonce = await getStorage().getLastNonce(tx.fromAddress, beforeIndex);
+        if (nonce !== null) lastNonces.set(tx.fromAddress, nonce);
+      }
+    }
+  }
+
+  // Get the blocks from genesis up to the given block, following side branches if needed
+  getBranch(tipHash) {
+    const sideBlocks = [];
+    let hash = tipHash;
+    while (this.sideBlocks.has(hash)) {
+      const block = this.sideBlocks.get(hash);
+      sideBlocks.unshift(block);
+      hash = block.previousHash;
+    }
+
+    const forkIndex = this.chain.findIndex((block) => block.hash === hash);
+    if (forkIndex === -1) {
+      throw new Error(`Block ${hash} is not part of any known branch`);
+    }
+    return this.chain.slice(0, forkIndex + 1).concat(sideBlocks);
+  }
+
+  // Accept a block mined elsewhere. It may extend the main chain or a side
+  // branch; if its branch ends up with more cumulative work than the main
+  // chain, the node reorganizes onto it.
+  // Resolves with { accepted, reorganized } or { accepted: false, reason }
+  async addBlock(block) {
+    if (this.chainWork.has(block.hash)) {
+      return this.rejectBlock(block, "Block is already known");
+    }
+    if (block.hash !== block.calculateHash()) {
+      return this.rejectBlock(block, "Block hash does not match its contents");
+    }
+    // Blocks carry at least their coinbase; an empty one has no Merkle tree to store
+    if (block.transactions.length === 0) {
+      return this.rejectBlock(block, "Block has no transactions");
+    }
+    if (block.merkleVersion !== MERKLE_VERSION) {
+      return this.rejectBlock(block, `Unsupported Merkle version ${block.merkleVersion}`);
+    }
+    if (!block.hasUniqueTransactions()) {
+      return this.rejectBlock(block, "Block contains duplicate transactions");
+    }
+    if (block.merkleRoot !== block.calculateMerkleRoot()) {
+      return this.rejectBlock(block, "Invalid Merkle root");
+    }
+    if (!block.hasValidProofOfWork()) {
+      return this.rejectBlock(block, "Insufficient proof-of-work");
+    }
+    if (!block.hasValidTransactions()) {
+      return this.rejectBlock(block, "Block contains invalid transactions");
+    }
+    if (!block.hasValidCoinbase(this.miningReward)) {
+      return this.rejectBlock(block, "Invalid coinbase");
+    }
+    if (this.checkpoint && Number(block.index) <= this.checkpoint.height) {
+      return this.rejectBlock(block, "Block conflicts with the latest checkpoint");
+    }
+    if (!this.chainWork.has(block.previousHash)) {
+      return this.rejectBlock(block, "Unknown parent block");
+    }
+
+    const parentBranch = this.getBranch(block.previousHash);
+    const parent = parentBranch[parentBranch.length - 1];
+    if (Number(block.index) !== Number(parent.index) + 1) {
+      return this.rejectBlock(block, "Block index does not follow its parent");
+    }
+    // A branch replacing the checkpointed block would reorganize below the checkpoint
+    const checkpointed =
+      this.checkpoint && parentBranch[this.checkpoint.height - Number(parentBranch[0].index)];
+    if (checkpointed && checkpointed.hash !== this.checkpoint.hash) {
+      return this.rejectBlock(block, "Block conflicts with the latest checkpoint");
+    }
+    const expectedDifficulty = await this.loadDifficultyForHeight(
+      Number(block.index),
+      parentBranch
+    );
+    if (Number(block.difficulty) !== expectedDifficulty) {
+      return this.rejectBlock(
+        block,
+        `Invalid difficulty ${block.difficulty}, expected ${expectedDifficulty}`
+      );
+    }
+    // Senders may have used nonces in blocks that are no longer kept in memory
+    const lastNonces = new Map();
+    await this.loadConfirmedNonces([block], Number(parentBranch[0].index), lastNonces);
+    if (!this.hasIncreasingNonces(parentBranch.concat(block), lastNonces)) {
+      return this.rejectBlock(block, "Block reuses a sender nonce");
+    }
+    try {
+      if (block.stateRoot !== (await this.computeStateRoot(block))) {
+        return this.rejectBlock(block, "Invalid state root");
+      }
+    } catch (error) {
+      return this.rejectBlock(block, error.message);
+    }
+
+    // Block extends the main chain
+    if (block.previousHash === this.getLatestBlock().hash) {
+      await block.save();
+      this.pushMainBlock(block);
+      await this.updateCheckpoint();
+      await this.prune();
+      await this.removeMinedFromPool([block]);
+      console.log(`Block ${block.index} added to the main chain`);
+      return { accepted: true, reorganized: false };
+    }
+
+    // Block extends a side branch
+    await block.save(false);
+    this.sideBlocks.set(block.hash, block);
+    const work = this.recordChainWork(block);
+    console.log(`Block ${block.index} stored on a side branch`);
+
+    if (work > this.chainWork.get(this.getLatestBlock().hash)) {
+      await this.reorganize(block);
+      return { accepted: true, reorganized: true };
+    }
+    return { accepted: true, reorganized: false };
+  }
+
+  // Log and build the result for a block refused by addBlock
+  rejectBlock(block, reason) {
+    console.error(`Rejected block ${block.hash}: ${reason}`);
+    return { accepted: false, reason };
+  }
+
+  // Switch the main chain to the branch ending at newTip. Transactions of the
+  // abandoned blocks go back to the pending pool, the new branch's
+  // transactions move into the ledger, and pending transactions whose nonce
+  // the new branch has already used, or that their senders can no longer
+  // pay for, are dropped.
+  async reorganize(newTip) {
+    const newChain = this.getBranch(newTip.hash);
+    let forkIndex = 0;
+    while (
+      forkIndex + 1 < this.chain.length &&
+      forkIndex + 1 < newChain.length &&
+      this.chain[forkIndex + 1].hash === newChain[forkIndex + 1].hash
+    ) {
+      forkIndex++;
+    }
+
+    const disconnected = this.chain.slice(forkIndex + 1);
+    const connected = newChain.slice(forkIndex + 1);
+    const connectedHashes = new Set();
+    for (const block of connected) {
+      block.transactions.forEach((tx) => connectedHashes.add(tx.hash));
+    }
+
+    // Reward transactions of abandoned blocks are discarded
+    const rolledBack = [];
+    for (const block of disconnected) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress !== null && !connectedHashes.has(tx.hash)) {
+          rolledBack.push(tx);
+        }
+      }
+    }
+
+    const lastNonces = new Map();
+    this.hasIncreasingNonces(newChain, lastNonces);
+    const isStillValid = (tx) =>
+      !lastNonces.has(tx.fromAddress) || tx.nonce > lastNonces.get(tx.fromAddress);
+
+    const remaining = this.pendingTransactions.filter(
+      (tx) => !connectedHashes.has(tx.hash) && isStillValid(tx)
+    );
+    const restorable = new Set(rolledBack.filter(isStillValid));
+
+    console.log(
+      `Reorganizing: disconnecting ${disconnected.length} block(s), connecting ${connected.length} block(s)`
+    );
+
+    let pool;
+    let removedHashes;
+    await getStorage().transaction(async () => {
+      for (const block of disconnected.slice().reverse()) {
+        await block.moveToSideBranch();
+      }
+      for (const block of connected) {
+        await block.moveToMainChain();
+      }
+
+      // A sender may have been paid on the abandoned branch only
+      pool = await this.selectAffordable([...restorable, ...remaining]);
+      const kept = new Set(pool);
+      removedHashes = this.pendingTransactions.filter((tx) => !kept.has(tx)).map((tx) => tx.hash);
+      await getStorage().deletePendingTransactions(removedHashes);
+      for (const tx of pool.filter((candidate) => restorable.has(candidate))) {
+        tx.blockHash = "";
+        await tx.savePending();
+      }
+    });
+    removedHashes.forEach((hash) => this.pendingReceivedAt.delete(hash));
+    pool
+      .filter((tx) => restorable.has(tx))
+      .forEach((tx) => this.pendingReceivedAt.set(tx.hash, Date.now()));
+
+    for (const block of disconnected) {
+      this.sideBlocks.set(block.hash, block);
+    }
+    for (const block of connected) {
+      this.sideBlocks.delete(block.hash);
+    }
+    this.chain = newChain;
+    this.trimChain();
+    this.pendingTransactions = pool;
+    this.difficulty = this.getDifficultyForHeight(this.getHeight());
+  }
+
+  // The transactions, in order, that their senders can pay for out of their
+  // confirmed balances, each one counting against the balance left by the
+  // ones before it, the way addTransaction counts pending spends
+  async selectAffordable(transactions) {
+    const available = new Map();
+    const affordable = [];
+    for (const tx of transactions) {
+      if (!available.has(tx.fromAddress)) {
+        available.set(tx.fromAddress, Number(await AccountState.getBalance(tx.fromAddress)));
+      }
+      const cost = Number(tx.amount) + Number(tx.fee);
+      if (cost <= available.get(tx.fromAddress)) {
+        available.set(tx.fromAddress, available.get(tx.fromAddress) - cost);
+        affordable.push(tx);
+      }
+    }
+    return affordable;
+  }
+
+  // Remove the transactions included in the given blocks from the pending pool
+  async removeMinedFromPool(blocks) {
+    const minedHashes = new Set();
+    for (const block of blocks) {
+      block.transactions.forEach((tx) => minedHashes.add(tx.hash));
+    }
+    await this.removeFromPool(this.pendingTransactions.filter((tx) => minedHashes.has(tx.hash)));
+  }
+
+  // Remove transactions from the pending pool, in memory and in storage
+  async removeFromPool(transactions) {
+    if (transactions.length === 0) return;
+    const hashes = new Set(transactions.map((tx) => tx.hash));
+    await getStorage().deletePendingTransactions([...hashes]);
+    this.pendingTransactions = this.pendingTransactions.filter((tx) => !hashes.has(tx.hash));
+    hashes.forEach((hash) => this.pendingReceivedAt.delete(hash));
+  }
+
+  // Drop pending transactions that have waited longer than mempoolMaxAge
+  async expirePendingTransactions(now = Date.now()) {
+    const expired = this.pendingTransactions.filter(
+      (tx) => now - (this.pendingReceivedAt.get(tx.hash) || 0) > this.mempoolMaxAge
+    );
+    if (expired.length === 0) return [];
+    await this.removeFromPool(expired);
+    console.log(`Expired ${expired.length} pending transaction(s)`);
+    return expired;
+  }
+
+  // The transaction a full pool gives up first: the lowest fee, and among
+  // equal fees the one received last, so earlier arrivals keep their place
+  getEvictionCandidate() {
+    let candidate = null;
+    for (const tx of this.pendingTransactions) {
+      if (candidate === null || Number(tx.fee) <= Number(candidate.fee)) candidate = tx;
+    }
+    return candidate;
+  }
+
+  // Reload the pending pool saved by an earlier run, dropping transactions
+  // confirmed or expired while the node was down and any beyond the size cap
+  async loadPendingPool() {
+    const rows = await getStorage().getPendingTransactions();
+    this.pendingTransactions = rows.map((txData) =>
+      Transaction.fromRow({ ...txData, block_hash: "" })
+    );
+    this.pendingReceivedAt = new Map(rows.map((row) => [row.hash, Number(row.received_at)]));
+
+    const confirmed = [];
+    for (const tx of this.pendingTransactions) {
+      const lastNonce = await getStorage().getLastNonce(tx.fromAddress);
+      if (lastNonce !== null && tx.nonce <= lastNonce) confirmed.push(tx);
+    }
+    await this.removeFromPool(confirmed);
+    await this.expirePendingTransactions();
+
+    // Keep the highest fees, earlier arrivals first among equal fees (the sort is stable)
+    const byPriority = [...this.pendingTransactions].sort((a, b) => Number(b.fee) - Number(a.fee));
+    await this.removeFromPool(byPriority.slice(this.mempoolMaxSize));
+    console.log(`Reloaded ${this.pendingTransactions.length} pending transaction(s)`);
+  }
+
   async addInitialBalance(address, amount) {
     // Create an initial reward transaction
     const rewardTx = new Transaction(null, address, amount);
@@ -491,22 +1392,209 @@ class Blockchain {
     rewardTx.signature = null; // Reward transactions don't need a signature
 
     // Create a block with the reward transaction
+    this.difficulty = this.getDifficultyForHeight(this.getHeight());
     const block = new Block(
-      this.chain.length,
+      this.getHeight(),
       this.getLatestBlock().hash,
       Date.now(),
       [rewardTx],
       this.difficulty
     );
+    block.stateRoot = await this.computeStateRoot(block);
     block.mineBlock(this.difficulty);
 
     console.log(`Mined initial block with hash: ${block.hash}`);
-    this.chain.push(block);
-
-    await block.save(); // Save the block to the database
+    await this.appendBlock(block); // Add to the chain and save to the database
     console.log(`Initial balance of ${amount} credited to address ${address}`);
   }
 
+  // Validate a transaction and admit it to the pending pool
+  // Resolves with { accepted: true, hash } or { accepted: false, reason }
+  async addTransaction(transaction) {
+    await this.expirePendingTransactions();
+
+    if (!transaction.fromAddress || !transaction.toAddress) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction must include from and to address"
+      );
+    }
+
+    if (!isValidAddress(transaction.fromAddress) || !isValidAddress(transaction.toAddress)) {
+      return this.rejectTransaction(
+        transaction,
+        "Invalid address checksum or version"
+      );
+    }
+
+    const { amount, fee } = transaction;
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction amount must be a number greater than 0"
+      );
+    }
+
+    if (typeof fee !== "number" || !Number.isFinite(fee) || fee < 0) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction fee must be a non-negative number"
+      );
+    }
+
+    if (!Number.isInteger(transaction.timestamp)) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction timestamp must be an integer"
+      );
+    }
+
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction nonce must be a non-negative integer"
+      );
+    }
+
+    const hash = transaction.calculateHash();
+    if (transaction.hash !== hash) {
+      return this.rejectTransaction(
+        transaction,
+        "Transaction hash does not match its contents"
+      );
+    }
+
+    if (!transaction.isValid()) {
+      return this.rejectTransaction(
+        transaction,
+        transaction.multisig
+          ? "Multisig transaction lacks enough valid signatures"
+          : "Invalid transaction signature"
+      );
+    }
+
+    // Reject transactions already waiting in the pool or already mined
+    if (this.pendingTransactions.some((tx) => tx.hash === hash)) {
+      return this.rejectTransaction(transaction, "Transaction is already pending");
+    }
+    // (on a pruned node, old transactions are caught by the nonce check instead)
+    if (await getStorage().getTransaction(hash)) {
+      return this.rejectTransaction(transaction, "Transaction is already in the chain");
+    }
+
+    // Nonces must strictly increase per sender across the chain and the pool
+    const nextNonce = await this.getNextNonce(transaction.fromAddress);
+    if (transaction.nonce < nextNonce) {
+      return this.rejectTransaction(
+        transaction,
+        `Nonce ${transaction.nonce} already used, next nonce is ${nextNonce}`
+      );
+    }
+
+    // The sender must cover amount and fee on top of everything already pending
+    const confirmedBalance = Number(
+      await this.getBalanceOfAddress(transaction.fromAddress)
+    );
+    const pendingSpend = this.getPendingSpend(transaction.fromAddress);
+    if (amount + fee > confirmedBalance - pendingSpend) {
+      return this.rejectTransaction(
+        transaction,
+        `Insufficient balance: available ${confirmedBalance - pendingSpend}, required ${amount + fee}`
+      );
+    }
+
+    // A full pool only admits a transaction that outbids its lowest fee
+    let evicted = null;
+    if (this.pendingTransactions.length >= this.mempoolMaxSize) {
+      evicted = this.getEvictionCandidate();
+      if (Number(evicted.fee) >= fee) {
+        return this.rejectTransaction(
+          transaction,
+          `Pending pool is full; fee must exceed ${evicted.fee}`
+        );
+      }
+    }
+
+    const receivedAt = Date.now();
+    await getStorage().transaction(async () => {
+      if (evicted) await getStorage().deletePendingTransactions([evicted.hash]);
+      await transaction.savePending(receivedAt); // Persist before exposing it to miners
+    });
+    if (evicted) {
+      this.pendingTransactions = this.pendingTransactions.filter((tx) => tx !== evicted);
+      this.pendingReceivedAt.delete(evicted.hash);
+      console.log(`Evicted transaction ${evicted.hash} from the full pending pool`);
+    }
+    this.pendingTransactions.push(transaction);
+    this.pendingReceivedAt.set(hash, receivedAt);
+    console.log(`Transaction ${hash} added to the pending pool`);
+    return { accepted: true, hash };
+  }
+
+  // Log and build the result for a transaction refused by addTransaction
+  rejectTransaction(transaction, reason) {
+    console.error(`Rejected transaction ${transaction.hash}: ${reason}`);
+    return { accepted: false, reason };
+  }
+
+  // Get the lowest nonce an address may use for its next transaction
+  async getNextNonce(address) {
+    const lastNonce = await getStorage().getLastNonce(address);
+    const confirmedNonce = lastNonce === null ? -1 : lastNonce;
+
+    const pendingNonce = this.pendingTransactions
+      .filter((tx) => tx.fromAddress === address)
+      .reduce((max, tx) => Math.max(max, tx.nonce), -1);
+
+    return Math.max(confirmedNonce, pendingNonce) + 1;
+  }
+
+  // Sum of the amounts and fees an address is already spending in pending transactions
+  getPendingSpend(address) {
+    return this.pendingTransactions
+      .filter((tx) => tx.fromAddress === address)
+      .reduce((total, tx) => total + Number(tx.amount) + Number(tx.fee), 0);
+  }
+
+  // Pick up to `limit` pending transactions, highest fee first.
+  // A sender's transactions are only taken in nonce order, so a high-fee
+  // transaction waits until its lower-nonce predecessors are included.
+  selectTransactionsForBlock(limit) {
+    const queues = new Map(); // Sender address -> pending transactions in nonce order
+    for (const tx of this.pendingTransactions) {
+      if (!queues.has(tx.fromAddress)) queues.set(tx.fromAddress, []);
+      queues.get(tx.fromAddress).push(tx);
+    }
+    for (const queue of queues.values()) {
+      queue.sort((a, b) => a.nonce - b.nonce);
+    }
+
+    const selected = [];
+    while (selected.length < limit && queues.size > 0) {
+      let best = null;
+      for (const [address, queue] of queues) {
+        const candidate = queue[0];
+        // Ties keep pool (arrival) order
+        if (
+          best === null ||
+          Number(candidate.fee) > Number(best.tx.fee) ||
+          (Number(candidate.fee) === Number(best.tx.fee) &&
+            this.pendingTransactions.indexOf(candidate) <
+              this.pendingTransactions.indexOf(best.tx))
+        ) {
+          best = { address, tx: candidate };
+        }
+      }
+
+      selected.push(best.tx);
+      const queue = queues.get(best.address);
+      queue.shift();
+      if (queue.length === 0) queues.delete(best.address);
+    }
+
+    return selected;
+  }
+
   // Mine pending transactions and add a new block to the blockchain
   async minePendingTransactions(miningRewardAddress) {
     // Attempt to acquire a lock before starting mining
@@ -519,37 +1607,43 @@ class Blockchain {
     }
 
     try {
+      // Another miner sharing the storage may have extended the chain while we waited
+      await this.syncMainChain();
+
       // Continue mining as long as there are enough pending transactions
+      await this.expirePendingTransactions();
       while (this.pendingTransactions.length >= this.transactionThreshold) {
         console.log("Starting to mine a new block...");
-        const blockTransactions = [];
-
-        // Collect transactions up to the threshold for the current block
-        while (
-          blockTransactions.length < this.transactionThreshold &&
-          this.pendingTransactions.length > 0
-        ) {
-          blockTransactions.push(this.pendingTransactions.shift());
-        }
+        // Collect the best-paying transactions up to the threshold for the current block;
+        // they stay in the pool until the block is saved
+        const blockTransactions = this.selectTransactionsForBlock(
+          this.transactionThreshold
+        );
 
         // Conditionally add reward transaction if the mining reward address is not null
         if (miningRewardAddress) {
+          const collectedFees = blockTransactions.reduce(
+            (total, tx) => total + Number(tx.fee),
+            0
+          );
           const rewardTx = new Transaction(
             null,
             miningRewardAddress,
-            this.miningReward
+            this.miningReward + collectedFees
           );
           blockTransactions.push(rewardTx);
         }
 
         // Create a new block with the collected transactions
+        this.difficulty = this.getDifficultyForHeight(this.getHeight());
         const block = new Block(
-          this.chain.length,
+          this.getHeight(),
           this.getLatestBlock().hash,
           Date.now(),
           blockTransactions,
           this.difficulty
         );
+        block.stateRoot = await this.computeStateRoot(block);
         block.mineBlock(this.difficulty);
 
         // Log details of the mined block
@@ -562,16 +1656,17 @@ class Blockchain {
           )}`
         );
 
-        // Add the new block to the blockchain
-        this.chain.push(block);
-
-        // Save the block to the database
-        await block.save();
+        // Add the new block to the blockchain and save it to the database;
+        // saving also removes its transactions from the stored pending pool.
+        // Renewing the lock in the same storage transaction makes sure that
+        // it has not expired and been taken over while the block was mined.
+        await this.appendBlock(block, async () => {
+          if (!(await renewLock("miningLock"))) {
+            throw new LockLostError("Lost the mining lock before saving the block", "miningLock");
+          }
+        });
+        await this.removeMinedFromPool([block]);
         console.log(`Block ${block.index} saved to the database.`);
-
-        // Clear pending transactions from the database (if needed) and in-memory array
-        await this.clearPendingTransactions();
-        console.log("Cleared pending transactions from the database.");
       }
 
       // Handle the case where pending transactions are left over after mining
@@ -580,7 +1675,11 @@ class Blockchain {
         JSON.stringify(this.pendingTransactions, null, 2)
       );
     } catch (error) {
-      console.error("Error during mining process:", error);
+      if (error instanceof LockLostError) {
+        console.warn("Lost the mining lock; stopping so another miner can continue.");
+      } else {
+        console.error("Error during mining process:", error);
+      }
     } finally {
       // Release the lock regardless of whether mining was successful or not
       await releaseLock("miningLock");
@@ -592,29 +1691,24 @@ class Blockchain {
   }
 
   // Get the balance of a specific address
+  // Reads the materialized account_state table kept up to date by Block.save
   async getBalanceOfAddress(address) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT
-          COALESCE(SUM(CASE WHEN from_address = ? THEN -amount ELSE 0 END), 0) +
-          COALESCE(SUM(CASE WHEN to_address = ? THEN amount ELSE 0 END), 0) AS balance
-        FROM transactions
-      `;
-      db.query(query, [address, address], (err, results) => {
-        if (err) {
-          console.error("Error querying database:", err);
-          return reject(err);
-        }
-
-        const balance = results[0].balance;
-        console.log(`Balance of address ${address}: ${balance}`);
-        resolve(balance); // Return the balance
-      });
-    });
+    try {
+      const balance = await AccountState.getBalance(address);
+      console.log(`Balance of address ${address}: ${balance}`);
+      return balance; // Return the balance
+    } catch (err) {
+      console.error("Error querying database:", err);
+      throw err;
+    }
   }
 
   // Check if the blockchain is valid
   isChainValid() {
+    if (!this.hasIncreasingNonces(this.chain)) {
+      return false;
+    }
+
     for (let i = 1; i < this.chain.length; i++) {
       const currentBlock = this.chain[i];
       const previousBlock = this.chain[i - 1];
@@ -625,6 +1719,25 @@ class Blockchain {
         return false;
       }
 
+      // Check the difficulty against the retarget schedule and the proof-of-work.
+      // Retarget heights whose window starts below the blocks kept in memory
+      // were checked when they were added or loaded.
+      const height = Number(currentBlock.index);
+      const windowInMemory =
+        height % this.retargetInterval !== 0 ||
+        height - this.retargetInterval >= Number(this.chain[0].index);
+      if (
+        windowInMemory &&
+        Number(currentBlock.difficulty) !== this.getDifficultyForHeight(height)
+      ) {
+        console.error(`Invalid difficulty at block ${currentBlock.index}`);
+        return false;
+      }
+      if (!currentBlock.hasValidProofOfWork()) {
+        console.error(`Insufficient proof-of-work at block ${currentBlock.index}`);
+        return false;
+      }
+
       // Check if the previous hash matches the previous block's hash
       if (currentBlock.previousHash !== previousBlock.hash) {
         console.error(`Invalid previous hash at block ${currentBlock.index}`);
@@ -643,59 +1756,150 @@ class Blockchain {
     return true; // Blockchain is valid
   }
 
-  // Load the blockchain from the database
+  // Check that every sender's nonces strictly increase in chain order
+  hasIncreasingNonces(blocks, lastNonces = new Map()) {
+    for (const block of blocks) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress === null) continue; // Reward transactions carry no nonce
+        const nonce = Number(tx.nonce);
+        if (lastNonces.has(tx.fromAddress) && nonce <= lastNonces.get(tx.fromAddress)) {
+          console.error(
+            `Non-increasing nonce ${nonce} from ${tx.fromAddress} in block ${block.index}`
+          );
+          return false;
+        }
+        lastNonces.set(tx.fromAddress, nonce);
+      }
+    }
+    return true;
+  }
+
+  // Load the blockchain from storage, a page of blocks and their transactions
+  // at a time. Blocks up to the highest checkpoint were verified when the
+  // checkpoint was recorded and are trusted; loading starts one header window
+  // below it, so startup work depends on the blocks added since the
+  // checkpoint rather than on the height of the chain. Only the most recent
+  // headerWindow blocks stay in memory. An empty store gets a genesis block.
   static async load() {
-    const blockchain = new Blockchain();
-    const query = "SELECT * FROM blocks ORDER BY index ASC";
-    return new Promise((resolve, reject) => {
-      db.query(query, async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        for (const result of results) {
-          const block = await Block.load(result.hash); // Load each block
-          if (block) {
-            blockchain.chain.push(block); // Add the block to the blockchain
-          }
+    const storage = getStorage();
+    const blockchain = new Blockchain({ createGenesis: false });
+    blockchain.checkpoint = await blockchain.findCheckpoint();
+    const trustedHeight = blockchain.checkpoint ? blockchain.checkpoint.height : -1;
+    blockchain.prunedHeight = await storage.getPrunedHeight();
+    if (blockchain.prunedHeight > 0 && blockchain.mode === "archival") {
+      throw new Error(
+        `Storage was pruned below height ${blockchain.prunedHeight} and cannot back an archival node`
+      );
+    }
+    if (blockchain.prunedHeight > trustedHeight + 1) {
+      throw new Error(`Blocks up to height ${blockchain.prunedHeight - 1} were pruned without a checkpoint`);
+    }
+    const startIndex = Math.max(0, trustedHeight + 1 - blockchain.headerWindow);
+
+    const lastNonces = new Map(); // Last nonce per sender, for the nonce checks
+    let nextIndex = startIndex;
+    for (;;) {
+      const page = await storage.getMainChainPage(nextIndex, blockchain.loadPageSize);
+      if (page.blocks.length === 0) break;
+
+      const transactionsByBlock = new Map();
+      for (const txData of page.transactions) {
+        if (!transactionsByBlock.has(txData.block_hash)) {
+          transactionsByBlock.set(txData.block_hash, []);
         }
+        transactionsByBlock.get(txData.block_hash).push(Transaction.fromRow(txData));
+      }
 
-        // Validate the blockchain after loading
-        if (!blockchain.isChainValid()) {
-          console.error("Blockchain is invalid");
-          reject(new Error("Blockchain is invalid"));
-        } else {
-          console.log("Blockchain is valid");
-          resolve(blockchain); // Resolve with the loaded blockchain
+      for (const row of page.blocks) {
+        const block = Block.fromRow(row, transactionsByBlock.get(row.hash) || []);
+        const previous = blockchain.getLatestBlock();
+        if (
+          Number(block.index) !== nextIndex ||
+          (previous && block.previousHash !== previous.hash)
+        ) {
+          throw new Error(`Block ${block.index} does not follow block ${nextIndex - 1}`);
         }
-      });
-    });
-  }
 
-  async countPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = "SELECT COUNT(*) AS count FROM pending_transactions"; // SQL query to count pending transactions
-      db.query(query, (err, results) => {
-        if (err) return reject(err); // Reject promise if there's an error
-        resolve(results[0].count); // Resolve promise with the count of pending transactions
-      });
-    });
+        if (Number(block.index) > trustedHeight) {
+          block.validate(blockchain.getDifficultyForHeight(Number(block.index)), blockchain.miningReward);
+          await blockchain.loadConfirmedNonces([block], startIndex, lastNonces);
+        }
+        if (!blockchain.hasIncreasingNonces([block], lastNonces)) {
+          throw new Error(`Block ${block.index} reuses a sender nonce`);
+        }
+        blockchain.pushMainBlock(block);
+        nextIndex++;
+      }
+    }
+
+    if (blockchain.chain.length === 0) {
+      blockchain.ready = blockchain.initializeGenesisBlock();
+      await blockchain.ready;
+      return blockchain;
+    }
+    if (trustedHeight >= nextIndex) {
+      throw new Error(`Checkpoint at height ${trustedHeight} is above the stored chain`);
+    }
+
+    // Load competing branches so a heavier one can still trigger a reorganization
+    const sideResults = await storage.getBlocks(false, Number(blockchain.chain[0].index) + 1);
+    for (const result of sideResults) {
+      if (!blockchain.chainWork.has(result.previous_hash)) continue; // Forks below the window
+      const block = await Block.load(result.hash);
+      blockchain.sideBlocks.set(block.hash, block);
+      blockchain.recordChainWork(block);
+    }
+
+    blockchain.difficulty = blockchain.getDifficultyForHeight(blockchain.getHeight());
+    await blockchain.updateCheckpoint();
+    await blockchain.prune();
+    await blockchain.loadPendingPool();
+    console.log(
+      `Loaded ${blockchain.mode} blockchain up to height ${blockchain.getHeight() - 1}, verified from height ${
+        trustedHeight + 1
+      }`
+    );
+    return blockchain; // Resolve with the loaded blockchain
   }
 
-  // Clear pending transactions from the database
-  async clearPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = "DELETE FROM pending_transactions"; // SQL query to delete pending transactions
-      db.query(query, (err, results) => {
-        if (err) return reject(err); // Reject promise if there's an error
-        resolve(results); // Resolve promise with the result of the deletion
-      });
-    });
+  async countPendingTransactions() {
+    return getStorage().countPendingTransactions();
   }
 }
 
 // Check pending transactions
-if (require.main === module) {
+// Rebuild or check the materialized balances:
+//   node src/blockchain.js rebuild-balances
+//   node src/blockchain.js check-balances
+if (require.main === module && process.argv[2] === "rebuild-balances") {
+  getStorage()
+    .connect()
+    .then(() => AccountState.rebuild())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Error rebuilding account state:", error);
+      process.exit(1);
+    });
+} else if (require.main === module && process.argv[2] === "check-balances") {
+  getStorage()
+    .connect()
+    .then(() => AccountState.check())
+    .then((mismatches) => {
+      for (const { address, stored, expected } of mismatches) {
+        console.error(`Balance mismatch for ${address}: stored ${stored}, ledger ${expected}`);
+      }
+      console.log(`Account state check found ${mismatches.length} mismatch(es).`);
+      process.exit(mismatches.length === 0 ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error("Error checking account state:", error);
+      process.exit(1);
+    });
+} else if (require.main === module) {
   (async function checkPendingTransactions() {
-    const blockchain = new Blockchain();
     try {
+      await getStorage().connect();
+      const blockchain = new Blockchain({ createGenesis: false });
       const count = await blockchain.countPendingTransactions();
       console.log(`There are ${count} pending transactions.`);
     } catch (error) {
@@ -705,7 +1909,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  AccountState,
   Blockchain,
   Transaction,
   Block,
+  HEADER_FIELDS,
 };
@@ -0,0 +1,155 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Settings used when neither the config file nor the environment provides one
+const DEFAULTS = {
+  storage: {
+    backend: 'mysql', // "mysql" or "memory"
+  },
+  db: {
+    host: 'localhost',
+    port: 3306,
+    user: 'root',
+    password: '',
+    database: 'blockchain',
+    connectionLimit: 10, // Maximum number of pooled connections
+    queueLimit: 0, // Maximum queued connection requests (0 = unlimited)
+    connectRetries: 5, // Attempts to reach the server at startup
+    retryDelay: 500, // Delay before the first retry in milliseconds, doubled after each attempt
+    maxRetryDelay: 10000, // Upper bound for the retry delay in milliseconds
+    insertBatchSize: 500, // Rows written per multi-row INSERT
+  },
+  chain: {
+    headerWindow: 1000, // Most recent main-chain blocks kept in memory
+    loadPageSize: 500, // Blocks read per page when loading the chain
+    checkpointInterval: 1000, // Heights at which verified blocks become checkpoints
+    checkpointConfirmations: 100, // Blocks that must follow a block before it is checkpointed
+    mode: 'archival', // "archival" keeps all history; "pruned" drops old transaction bodies
+    pruneDepth: 1000, // Most recent blocks whose transactions a pruned node keeps
+    cacheMerkleProofs: true, // Store every transaction's proof; without it proofs come from Merkle nodes
+  },
+  lock: {
+    ttl: 60000, // Milliseconds a lock lasts unless renewed; a crashed holder's lock expires after this
+  },
+  mempool: {
+    maxAge: 259200000, // Milliseconds a transaction may wait in the pending pool (3 days)
+    maxSize: 5000, // Most transactions the pending pool holds; the lowest fees are evicted first
+  },
+};
+
+// Environment variables and the setting each one overrides
+const ENV_VARS = {
+  STORAGE_BACKEND: ['storage', 'backend'],
+  DB_HOST: ['db', 'host'],
+  DB_PORT: ['db', 'port'],
+  DB_USER: ['db', 'user'],
+  DB_PASSWORD: ['db', 'password'],
+  DB_NAME: ['db', 'database'],
+  DB_CONNECTION_LIMIT: ['db', 'connectionLimit'],
+  DB_QUEUE_LIMIT: ['db', 'queueLimit'],
+  DB_CONNECT_RETRIES: ['db', 'connectRetries'],
+  DB_RETRY_DELAY: ['db', 'retryDelay'],
+  DB_MAX_RETRY_DELAY: ['db', 'maxRetryDelay'],
+  DB_INSERT_BATCH_SIZE: ['db', 'insertBatchSize'],
+  CHAIN_HEADER_WINDOW: ['chain', 'headerWindow'],
+  CHAIN_LOAD_PAGE_SIZE: ['chain', 'loadPageSize'],
+  CHAIN_CHECKPOINT_INTERVAL: ['chain', 'checkpointInterval'],
+  CHAIN_CHECKPOINT_CONFIRMATIONS: ['chain', 'checkpointConfirmations'],
+  CHAIN_MODE: ['chain', 'mode'],
+  CHAIN_PRUNE_DEPTH: ['chain', 'pruneDepth'],
+  CHAIN_CACHE_MERKLE_PROOFS: ['chain', 'cacheMerkleProofs'],
+  LOCK_TTL: ['lock', 'ttl'],
+  MEMPOOL_MAX_AGE: ['mempool', 'maxAge'],
+  MEMPOOL_MAX_SIZE: ['mempool', 'maxSize'],
+};
+
+const NODE_MODES = ['archival', 'pruned'];
+
+// Spellings accepted for boolean settings
+const BOOLEANS = new Map([
+  ['true', true],
+  ['1', true],
+  ['false', false],
+  ['0', false],
+]);
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+/**
+ * Reads the JSON config file, if there is one.
+ * @param {string} file - Path to the config file
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object} - The parsed settings, or an empty object
+ */
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the configuration from defaults, the config file and the environment,
+ * in increasing order of precedence. The config file is CONFIG_FILE if set,
+ * otherwise config.json in the project root when present.
+ * @param {Object} [env] - Environment variables to read
+ * @returns {Object} - Settings grouped by section ("storage", "db", "chain", "lock", "mempool")
+ */
+function loadConfig(env = process.env) {
+  const file = readConfigFile(env.CONFIG_FILE || DEFAULT_CONFIG_FILE, Boolean(env.CONFIG_FILE));
+
+  const config = {};
+  for (const [section, defaults] of Object.entries(DEFAULTS)) {
+    config[section] = { ...defaults, ...(file[section] || {}) };
+  }
+
+  for (const [name, [section, key]] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    config[section][key] = env[name];
+  }
+
+  // Keep numeric and boolean settings so, whichever source they came from
+  for (const [section, defaults] of Object.entries(DEFAULTS)) {
+    for (const [key, value] of Object.entries(config[section])) {
+      if (typeof defaults[key] === 'boolean') {
+        if (!BOOLEANS.has(String(value))) {
+          throw new Error(`Invalid value for ${section}.${key}: ${value}`);
+        }
+        config[section][key] = BOOLEANS.get(String(value));
+        continue;
+      }
+      if (typeof defaults[key] !== 'number') continue;
+      const number = Number(value);
+      if (value === null || value === '' || !Number.isFinite(number)) {
+        throw new Error(`Invalid value for ${section}.${key}: ${value}`);
+      }
+      config[section][key] = number;
+    }
+  }
+
+  if (!NODE_MODES.includes(config.chain.mode)) {
+    throw new Error(`Invalid value for chain.mode: ${config.chain.mode}`);
+  }
+  if (!Number.isInteger(config.chain.pruneDepth) || config.chain.pruneDepth < 1) {
+    throw new Error(`Invalid value for chain.pruneDepth: ${config.chain.pruneDepth}`);
+  }
+  if (config.lock.ttl <= 0) {
+    throw new Error(`Invalid value for lock.ttl: ${config.lock.ttl}`);
+  }
+  if (config.mempool.maxAge <= 0) {
+    throw new Error(`Invalid value for mempool.maxAge: ${config.mempool.maxAge}`);
+  }
+  if (!Number.isInteger(config.mempool.maxSize) || config.mempool.maxSize < 1) {
+    throw new Error(`Invalid value for mempool.maxSize: ${config.mempool.maxSize}`);
+  }
+  return config;
+}
+
+module.exports = { loadConfig, config: loadConfig() };
@@ -1,19 +1,119 @@
-const mysql = require('mysql2');
-const db = mysql.createConnection({
-  host: 'localhost', 
-  port: 3306,        
-  user: 'root',
-  password: 'g46',
-  database: 'blockchain'
-});
-
-db.connect(err => {
-  if (err) {
-    throw err;
+const mysql = require('mysql2/promise');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+let pool = null; // Created on first use so requiring this module never connects
+const activeConnection = new AsyncLocalStorage(); // Connection of the surrounding transaction, if any
+
+// Get the connection pool, creating it on first use
+function getPool() {
+  if (!pool) {
+    const { host, port, user, password, database, connectionLimit, queueLimit } = config.db;
+    pool = mysql.createPool({
+      host,
+      port,
+      user,
+      password,
+      database,
+      connectionLimit,
+      queueLimit,
+      waitForConnections: true,
+    });
+  }
+  return pool;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Waits until the database accepts connections, retrying with exponential backoff.
+ * @param {Object} [options] - Overrides for the configured retry settings
+ * @returns {Promise<void>} - Rejects with the last error once all attempts fail
+ */
+async function connect(options = {}) {
+  const { connectRetries, retryDelay, maxRetryDelay } = { ...config.db, ...options };
+  let delay = retryDelay;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const connection = await getPool().getConnection();
+      try {
+        await connection.ping();
+      } finally {
+        connection.release();
+      }
+      console.log('Connected to database');
+      return;
+    } catch (err) {
+      if (attempt >= connectRetries) throw err;
+      console.warn(
+        `Database connection attempt ${attempt}/${connectRetries} failed (${err.message}), retrying in ${delay}ms`
+      );
+      await sleep(delay);
+      delay = Math.min(delay * 2, maxRetryDelay);
+    }
   }
-  console.log('Connected to database');
-});
+}
+
+/**
+ * Runs a query and resolves with its rows. Inside transaction() the query runs
+ * on the transaction's connection; otherwise on any pooled connection.
+ * @param {string} sql - SQL with `?` placeholders
+ * @param {Array} [values] - Placeholder values
+ * @returns {Promise<Array|Object>} - Rows for SELECTs, the result header otherwise
+ */
+async function query(sql, values = []) {
+  const connection = activeConnection.getStore() || getPool();
+  const [results] = await connection.query(sql, values);
+  return results;
+}
 
-module.exports = db;
+/**
+ * Runs `work` inside a database transaction on a single pooled connection,
+ * committing if it resolves and rolling back if it throws. Nested calls join
+ * the outer transaction.
+ * @param {Function} work - Async function whose queries belong to the transaction
+ * @returns {Promise<*>} - Whatever `work` resolves with
+ */
+async function transaction(work) {
+  if (activeConnection.getStore()) return work();
 
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    try {
+      const result = await activeConnection.run(connection, work);
+      await connection.commit();
+      return result;
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Checks that the database answers a trivial query.
+ * @returns {Promise<{healthy: boolean, latencyMs?: number, error?: string}>}
+ */
+async function healthCheck() {
+  const started = Date.now();
+  try {
+    await getPool().query('SELECT 1');
+    return { healthy: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { healthy: false, error: err.message };
+  }
+}
+
+// Close every pooled connection; the pool is recreated on next use
+async function close() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
 
+module.exports = { connect, query, transaction, healthCheck, close, getPool };
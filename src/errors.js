@@ -12,10 +12,66 @@ class InvalidAddressError extends Error {
     }
   }
   
+  class InvalidPassphraseError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'InvalidPassphraseError';
+    }
+  }
+  
+  class InvalidMnemonicError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'InvalidMnemonicError';
+    }
+  }
+  
+  class InvalidSnapshotError extends Error {
+    // details: { line, blockIndex, blockHash, imported } where known
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'InvalidSnapshotError';
+      Object.assign(this, details);
+    }
+  }
+  
+  class HistoryPrunedError extends Error {
+    // Raised by pruned nodes for data below prunedHeight, which they no longer keep
+    constructor(message, prunedHeight) {
+      super(message);
+      this.name = 'HistoryPrunedError';
+      this.prunedHeight = prunedHeight;
+    }
+  }
+  
+  class LockLostError extends Error {
+    // Raised when a lease expired, so another owner may have taken the lock over
+    constructor(message, resource) {
+      super(message);
+      this.name = 'LockLostError';
+      this.resource = resource;
+    }
+  }
+  
+  class InvalidMerkleDataError extends Error {
+    // issues: [{ level, index, problem }] for every node that failed the check
+    constructor(message, issues = []) {
+      super(message);
+      this.name = 'InvalidMerkleDataError';
+      this.issues = issues;
+    }
+  }
+  
   // Add other custom errors as needed
   
   module.exports = {
     InvalidAddressError,
     InvalidPrivateKeyError,
+    InvalidPassphraseError,
+    InvalidMnemonicError,
+    InvalidSnapshotError,
+    HistoryPrunedError,
+    LockLostError,
+    InvalidMerkleDataError,
     // Export other errors as needed
   };
\ No newline at end of file
@@ -0,0 +1,192 @@
+const EC = require('elliptic').ec;
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const { getStorage } = require('./storage');
+const { publicKeyToAddress, importWallet } = require('./wallet');
+const { InvalidMnemonicError } = require('./errors');
+
+const ec = new EC('secp256k1');
+const CURVE_ORDER = BigInt('0x' + ec.curve.n.toString(16));
+const HARDENED_OFFSET = 0x80000000;
+const RECEIVE_PATH = "m/44'/0'/0'/0"; // BIP44 external chain of the first account
+const DEFAULT_GAP_LIMIT = 20; // Unused addresses in a row before a scan stops
+
+function hmacSha512(key, data) {
+  return crypto.createHmac('sha512', key).update(data).digest();
+}
+
+/**
+ * Creates the BIP32 master key from a seed.
+ * @param {Buffer} seed - Seed bytes, e.g. from a mnemonic
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} - Master extended private key
+ */
+function masterKeyFromSeed(seed) {
+  const I = hmacSha512('Bitcoin seed', seed);
+  return { privateKey: I.slice(0, 32), chainCode: I.slice(32) };
+}
+
+/**
+ * Derives a BIP32 child private key.
+ * @param {{privateKey: Buffer, chainCode: Buffer}} parent - Parent extended private key
+ * @param {number} index - Child index, hardened when >= 0x80000000
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} - Child extended private key
+ * @throws {Error} - For the (astronomically rare) invalid child, per BIP32 use the next index
+ */
+function deriveChildKey({ privateKey, chainCode }, index) {
+  const indexBuffer = Buffer.alloc(4);
+  indexBuffer.writeUInt32BE(index);
+
+  const data = index >= HARDENED_OFFSET
+    ? Buffer.concat([Buffer.alloc(1), privateKey, indexBuffer])
+    : Buffer.concat([Buffer.from(ec.keyFromPrivate(privateKey).getPublic(true, 'hex'), 'hex'), indexBuffer]);
+  const I = hmacSha512(chainCode, data);
+
+  const tweak = BigInt('0x' + I.slice(0, 32).toString('hex'));
+  const childKey = (tweak + BigInt('0x' + privateKey.toString('hex'))) % CURVE_ORDER;
+  if (tweak >= CURVE_ORDER || childKey === 0n) {
+    throw new Error(`Invalid child key at index ${index}, use the next index.`);
+  }
+
+  return {
+    privateKey: Buffer.from(childKey.toString(16).padStart(64, '0'), 'hex'),
+    chainCode: I.slice(32)
+  };
+}
+
+/**
+ * Derives the key at a path such as "m/44'/0'/0'/0/5".
+ * @param {{privateKey: Buffer, chainCode: Buffer}} masterKey - Master extended private key
+ * @param {string} path - Derivation path, hardened segments marked with '
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} - Extended private key at the path
+ */
+function derivePath(masterKey, path) {
+  const segments = path.split('/');
+  if (segments[0] !== 'm') {
+    throw new Error(`Derivation path must start with "m": ${path}`);
+  }
+
+  return segments.slice(1).reduce((key, segment) => {
+    const hardened = segment.endsWith("'");
+    const index = Number(hardened ? segment.slice(0, -1) : segment);
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation path segment "${segment}" in ${path}`);
+    }
+    return deriveChildKey(key, hardened ? index + HARDENED_OFFSET : index);
+  }, masterKey);
+}
+
+class HDWallet {
+  /**
+   * Opens a hierarchical deterministic wallet from a BIP39 mnemonic.
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} [passphrase=''] - Optional BIP39 passphrase
+   * @throws {InvalidMnemonicError} - If the phrase has unknown words or a bad checksum
+   */
+  constructor(mnemonic, passphrase = '') {
+    if (!bip39.validateMnemonic(mnemonic)) {
+      throw new InvalidMnemonicError('Invalid mnemonic: unknown word or bad checksum.');
+    }
+    this.mnemonic = mnemonic; // The phrase is the only backup this wallet needs
+    const masterKey = masterKeyFromSeed(bip39.mnemonicToSeedSync(mnemonic, passphrase));
+    this.receiveKey = derivePath(masterKey, RECEIVE_PATH); // Parent of all receive keys
+  }
+
+  /**
+   * Generates a wallet with a fresh random mnemonic.
+   * @param {number} [strength=128] - Entropy bits; 128 gives 12 words, 256 gives 24
+   * @returns {HDWallet}
+   */
+  static generate(strength = 128) {
+    return new HDWallet(bip39.generateMnemonic(strength));
+  }
+
+  /**
+   * Imports a wallet from an existing mnemonic.
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} [passphrase=''] - Optional BIP39 passphrase
+   * @returns {HDWallet}
+   */
+  static fromMnemonic(mnemonic, passphrase = '') {
+    return new HDWallet(mnemonic.trim().split(/\s+/).join(' '), passphrase);
+  }
+
+  /**
+   * Derives the receive key at an index.
+   * @param {number} index - Address index on the receive chain
+   * @returns {{index: number, path: string, publicKey: string, privateKey: string, address: string}}
+   */
+  deriveReceiveKey(index) {
+    const { privateKey } = deriveChildKey(this.receiveKey, index);
+    const publicKey = ec.keyFromPrivate(privateKey).getPublic('hex');
+    return {
+      index,
+      path: `${RECEIVE_PATH}/${index}`,
+      publicKey,
+      privateKey: privateKey.toString('hex'),
+      address: publicKeyToAddress(publicKey)
+    };
+  }
+
+  /**
+   * Saves the receive key at an index as an encrypted keystore, so it can
+   * sign with Transaction.signWithAddress.
+   * @param {number} index - Address index on the receive chain
+   * @param {string} passphrase - Passphrase for the keystore file
+   * @returns {string} - The address of the saved key
+   */
+  saveReceiveKey(index, passphrase) {
+    return importWallet(this.deriveReceiveKey(index), passphrase).address;
+  }
+
+  /**
+   * Derives a range of receive addresses.
+   * @param {number} count - Number of addresses
+   * @param {number} [start=0] - First index
+   * @returns {string[]} - Addresses in index order
+   */
+  deriveReceiveAddresses(count, start = 0) {
+    const addresses = [];
+    for (let index = start; index < start + count; index++) {
+      addresses.push(this.deriveReceiveKey(index).address);
+    }
+    return addresses;
+  }
+
+  /**
+   * Rediscovers the receive addresses that appear in the transactions table.
+   * Addresses are checked in windows of gapLimit; the scan stops once a whole
+   * window after the last used address has no transactions.
+   * @param {number} [gapLimit=20] - Unused addresses in a row before stopping
+   * @returns {Promise<Array<{index: number, address: string}>>} - Used addresses
+   */
+  async scanUsedAddresses(gapLimit = DEFAULT_GAP_LIMIT) {
+    const used = [];
+    let start = 0;
+    let lastUsedIndex = -1;
+
+    while (start <= lastUsedIndex + gapLimit) {
+      const addresses = this.deriveReceiveAddresses(gapLimit, start);
+      const found = await findAddressesWithTransactions(addresses);
+      addresses.forEach((address, offset) => {
+        if (found.has(address)) {
+          used.push({ index: start + offset, address });
+          lastUsedIndex = start + offset;
+        }
+      });
+      start += gapLimit;
+    }
+
+    return used;
+  }
+}
+
+/**
+ * Finds which of the given addresses have sent or received a transaction.
+ * @param {string[]} addresses - Addresses to look up
+ * @returns {Promise<Set<string>>} - The addresses that were used
+ */
+function findAddressesWithTransactions(addresses) {
+  return getStorage().findAddressesWithTransactions(addresses);
+}
+
+module.exports = { HDWallet, masterKeyFromSeed, deriveChildKey, derivePath };
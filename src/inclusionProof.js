@@ -0,0 +1,155 @@
+"use strict";
+
+// Inclusion proofs: everything needed to check that a transaction is part of a
+// block, in one JSON-serializable bundle.
+//
+//   {
+//     "transaction": { "hash", "fromAddress", "toAddress", "amount", "timestamp",
+//                      "nonce", "fee", "signature", "publicKey", "multisig" },
+//     "block": { "index", "hash", "previousHash", "merkleRoot", "merkleVersion",
+//                "stateRoot", "transactionsDigest", "timestamp", "nonce",
+//                "difficulty" },
+//     "proof": [{ "hash": "<sibling>", "position": "left" | "right" }, ...]
+//   }
+//
+// A node builds bundles with getInclusionProof. verifyInclusionProof needs no
+// storage: it recomputes the block hash from the header, so anyone holding a
+// bundle and a trusted block hash can check it without running a node. The
+// trusted hash is required: whoever sends a bundle can make up a header that
+// is consistent with itself, so only the hash ties it to the chain.
+
+const { getStorage } = require("./storage");
+const { MerkleTree, MerkleProofPath } = require("./merkleTree");
+const { Block, Transaction, HEADER_FIELDS } = require("./blockchain");
+
+/**
+ * Builds the inclusion proof of a main-chain transaction.
+ * @param {string} transactionHash - Transaction to prove
+ * @returns {Promise<Object|null>} - The bundle, or null if the transaction is not on the main chain
+ * @throws {Error} - If the transaction's block predates state roots
+ * @throws {HistoryPrunedError} - If this node pruned the transaction or its proof
+ */
+async function getInclusionProof(transactionHash) {
+  const transaction = await Transaction.load(transactionHash);
+  if (!transaction) return null;
+
+  const block = await Block.load(transaction.blockHash);
+  if (block.stateRoot === null) {
+    throw new Error(`Block ${block.index} predates state roots; its header cannot be checked on its own`);
+  }
+  const proof = await MerkleProofPath.getProofPath(transactionHash, block.hash);
+  if (!proof) {
+    throw new Error(`Block ${block.index} has no stored Merkle proof for ${transactionHash}`);
+  }
+
+  return {
+    transaction: {
+      hash: transaction.hash,
+      fromAddress: transaction.fromAddress,
+      toAddress: transaction.toAddress,
+      amount: transaction.amount,
+      timestamp: transaction.timestamp,
+      nonce: transaction.nonce,
+      fee: transaction.fee,
+      signature: transaction.signature,
+      publicKey: transaction.publicKey,
+      multisig: transaction.multisig,
+    },
+    block: block.getHeader(),
+    proof,
+  };
+}
+
+/**
+ * Checks an inclusion proof without storage: the transaction matches its
+ * hash and is validly signed, the proof leads from that hash to the block's
+ * Merkle root, the header matches the block hash, the hash meets its
+ * difficulty and it is `blockHash`, the hash of a block known to be on the
+ * chain.
+ * @param {Object} bundle - Bundle from getInclusionProof, e.g. parsed from JSON
+ * @param {Object} options
+ * @param {string} options.blockHash - Trusted hash the bundle's block must have
+ * @returns {{valid: boolean, reason?: string}} - Whether the bundle checks out, and why not
+ */
+function verifyInclusionProof(bundle, { blockHash } = {}) {
+  if (typeof blockHash !== "string" || blockHash === "") {
+    return { valid: false, reason: "A trusted block hash is needed to tie the bundle to the chain" };
+  }
+  const { transaction: tx, block, proof } = bundle || {};
+  if (!tx || !block || !Array.isArray(proof)) {
+    return { valid: false, reason: "Bundle needs a transaction, a block and a proof" };
+  }
+  const missing = HEADER_FIELDS.find((field) => block[field] === undefined || block[field] === null);
+  if (missing) {
+    return { valid: false, reason: `Block header lacks ${missing}` };
+  }
+
+  const rebuilt = new Transaction(
+    tx.fromAddress,
+    tx.toAddress,
+    tx.amount,
+    tx.timestamp,
+    tx.signature,
+    "",
+    tx.nonce,
+    tx.fee,
+    tx.publicKey,
+    tx.multisig
+  );
+  if (rebuilt.calculateHash() !== tx.hash) {
+    return { valid: false, reason: "Transaction does not match its hash" };
+  }
+  if (!rebuilt.isValid()) {
+    return { valid: false, reason: "Transaction is not validly signed" };
+  }
+  if (!MerkleTree.verifyProof(tx.hash, proof, block.merkleRoot, block.merkleVersion)) {
+    return { valid: false, reason: "Proof does not lead to the block's Merkle root" };
+  }
+  if (Block.hashHeader(block) !== block.hash) {
+    return { valid: false, reason: "Block header does not match its hash" };
+  }
+
+  const difficulty = Number(block.difficulty);
+  if (!Number.isInteger(difficulty) || !String(block.hash).startsWith("0".repeat(difficulty))) {
+    return { valid: false, reason: "Block hash does not meet its difficulty" };
+  }
+  if (block.hash !== blockHash) {
+    return { valid: false, reason: `Block hash ${block.hash} is not the expected ${blockHash}` };
+  }
+  return { valid: true };
+}
+
+// Build or check inclusion proofs from the command line:
+//   node src/inclusionProof.js get <transactionHash>
+//   node src/inclusionProof.js verify <file> <blockHash>
+if (require.main === module) {
+  const fs = require("fs");
+  const [command, arg, blockHash] = process.argv.slice(2);
+
+  (async () => {
+    if (command === "get" && arg) {
+      await getStorage().connect();
+      const bundle = await getInclusionProof(arg);
+      if (!bundle) throw new Error(`Transaction ${arg} is not on the main chain`);
+      console.log(JSON.stringify(bundle, null, 2));
+      return true;
+    }
+    if (command === "verify" && arg && blockHash) {
+      const result = verifyInclusionProof(JSON.parse(fs.readFileSync(arg, "utf8")), {
+        blockHash,
+      });
+      console.log(result.valid ? "Proof is valid" : `Proof is invalid: ${result.reason}`);
+      return result.valid;
+    }
+    throw new Error(
+      "Usage: node src/inclusionProof.js get <transactionHash> | verify <file> <blockHash>"
+    );
+  })()
+    .then((valid) => process.exit(valid ? 0 : 1))
+    .catch((error) => {
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { getInclusionProof, verifyInclusionProof };
@@ -1,17 +1,29 @@
-const locks = {};
+const crypto = require("crypto");
+const os = require("os");
+const { getStorage } = require("./storage");
+const { config } = require("./config");
+
+// Locks are leases kept by the storage backend: with MySQL they are shared by
+// every process using the database, with in-memory storage they only cover
+// the current process. A lease expires after `ttl` milliseconds unless
+// renewed, so a crashed holder's lock is recovered automatically.
+
+// Identifies this process as a lock owner
+const processOwner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
 
 // Acquire a lock for a specific resource
-async function acquireLock(resource) {
-  if (locks[resource]) {
-    return false; // Lock is already acquired
-  }
-  locks[resource] = true;
-  return true; // Lock acquired successfully
+async function acquireLock(resource, { owner = processOwner, ttl = config.lock.ttl } = {}) {
+  return getStorage().acquireLock(resource, owner, ttl); // False if someone else holds it
+}
+
+// Extend a lock we hold; false means it expired and may have been taken over
+async function renewLock(resource, { owner = processOwner, ttl = config.lock.ttl } = {}) {
+  return getStorage().renewLock(resource, owner, ttl);
 }
 
 // Release a lock for a specific resource
-async function releaseLock(resource) {
-  delete locks[resource];
+async function releaseLock(resource, { owner = processOwner } = {}) {
+  await getStorage().releaseLock(resource, owner);
 }
 
-module.exports = { acquireLock, releaseLock };
+module.exports = { acquireLock, renewLock, releaseLock, processOwner };
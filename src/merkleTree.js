@@ -1,5 +1,14 @@
 const crypto = require("crypto"); // Import the crypto module for hashing
-const db = require("./db"); // Import the database connection module
+const { getStorage } = require("./storage"); // Import the pluggable storage backend
+const { HistoryPrunedError, InvalidMerkleDataError } = require("./errors");
+
+// Version 1 trees hash leaves and inner nodes the same way, so an inner node
+// can pass for a leaf. Version 2 prefixes leaves and inner nodes with
+// different bytes (as RFC 6962 does) and refuses duplicate values. Blocks keep
+// the version they were built with, so older blocks still validate.
+const MERKLE_VERSION = 2;
+const LEAF_PREFIX = "\x00";
+const NODE_PREFIX = "\x01";
 
 class Node {
   /**
@@ -25,6 +34,27 @@ class Node {
     return crypto.createHash("sha256").update(val).digest("hex");
   }
 
+  /**
+   * Hashes a value into a leaf.
+   * @param {string} value - Value the leaf is built from (transaction hash)
+   * @param {number} [version=MERKLE_VERSION] - Tree version
+   * @returns {string} - Leaf hash
+   */
+  static hashLeaf(value, version = MERKLE_VERSION) {
+    return version === 1 ? Node.hash(value) : Node.hash(LEAF_PREFIX + value);
+  }
+
+  /**
+   * Hashes two child hashes into their parent.
+   * @param {string} left - Left child hash
+   * @param {string} right - Right child hash
+   * @param {number} [version=MERKLE_VERSION] - Tree version
+   * @returns {string} - Parent hash
+   */
+  static hashChildren(left, right, version = MERKLE_VERSION) {
+    return version === 1 ? Node.hash(left + right) : Node.hash(NODE_PREFIX + left + right);
+  }
+
   /**
    * Creates a copy of the current node.
    * @returns {Node} - A new Node object with the same properties
@@ -38,109 +68,197 @@ class MerkleTree {
   /**
    * Constructs a Merkle Tree from a list of values.
    * @param {string[]} values - List of values to build the Merkle Tree from
-   * @throws {Error} - If no values are provided
+   * @param {number} [version=MERKLE_VERSION] - Tree version (see MERKLE_VERSION)
+   * @throws {Error} - If no values are provided, the version is unknown, or
+   *   a version 2 tree is given the same value twice
    */
-  constructor(values) {
+  constructor(values, version = MERKLE_VERSION) {
     if (!values || values.length === 0) {
       throw new Error("Cannot build Merkle Tree with no values.");
     }
-    this.root = this.buildTree(values); // Build the Merkle Tree and set the root
+    if (!MerkleTree.isSupportedVersion(version)) {
+      throw new Error(`Unsupported Merkle Tree version: ${version}`);
+    }
+    if (version >= 2 && new Set(values).size !== values.length) {
+      const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+      throw new Error(`Duplicate value in the Merkle Tree: ${duplicate}`);
+    }
+    this.version = version;
+    this.leafHashes = values.map((value) => Node.hashLeaf(value, version)); // Leaf values, in order, before padding
+    this.root = this.buildTree(this.leafHashes); // Build the Merkle Tree and set the root
+  }
+
+  /**
+   * Tells whether trees of the given version can be built and verified.
+   * @param {number} version - Tree version
+   * @returns {boolean}
+   */
+  static isSupportedVersion(version) {
+    return Number.isInteger(version) && version >= 1 && version <= MERKLE_VERSION;
   }
 
   /**
-   * Saves all nodes of the Merkle Tree to the database.
+   * Saves all nodes of the Merkle Tree to the database in batched inserts.
    * @param {string} blockHash - Hash of the block associated with the Merkle Tree
-   * @param {Node} [node=this.root] - Current node being processed
-   * @param {number} [level=0] - Current level in the tree
-   * @param {number} [index=0] - Index of the current node
    * @returns {Promise<void>}
    */
-  async saveNodesToDatabase(blockHash, node = this.root, level = 0, index = 0) {
-    if (node !== null) {
-      // Prepare SQL query to insert node data
-      const query =
-        "INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)";
-      const values = [blockHash, level, index, node.value];
-
-      // Execute the SQL query
-      await new Promise((resolve, reject) => {
-        db.query(query, values, (err) => {
-          if (err) reject(err); // Reject the promise if an error occurs
-          else resolve(); // Resolve the promise if the operation is successful
-        });
-      });
+  async saveNodesToDatabase(blockHash) {
+    await getStorage().insertMerkleNodes(blockHash, this.getNodes());
+  }
 
-      // Recursively save left and right child nodes
+  /**
+   * Lists every node with its position: the root is at level 0, index 0, and
+   * the children of the node at (level, index) are at level + 1, indexes
+   * index * 2 and index * 2 + 1.
+   * @returns {Array<{level: number, index: number, value: string}>} - Nodes, root first
+   */
+  getNodes() {
+    const nodes = [];
+    const queue = [{ node: this.root, level: 0, index: 0 }];
+    for (let next = 0; next < queue.length; next++) {
+      const { node, level, index } = queue[next];
+      if (node === null) continue;
+      nodes.push({ level, index, value: node.value });
       if (node.left !== null) {
-        await this.saveNodesToDatabase(
-          blockHash,
-          node.left,
-          level + 1,
-          index * 2
-        );
-        await this.saveNodesToDatabase(
-          blockHash,
-          node.right,
-          level + 1,
-          index * 2 + 1
-        );
+        queue.push({ node: node.left, level: level + 1, index: index * 2 });
+        queue.push({ node: node.right, level: level + 1, index: index * 2 + 1 });
       }
     }
+    return nodes;
   }
 
   /**
-   * Builds the Merkle Tree from a list of leaf nodes.
-   * @param {string[]} values - List of values to be used as leaf nodes
-   * @returns {Node} - Root node of the constructed Merkle Tree
+   * Rebuilds a tree from stored nodes (see getNodes), checking every node
+   * against the tree the values produce.
+   * @param {Array<{level: number, index: number, value: string}>} nodes - Stored nodes, in any order
+   * @param {string[]} values - Values the tree was built from (transaction hashes), in order
+   * @param {string} [root] - Root the values should produce (the block's Merkle root)
+   * @param {number} [version=MERKLE_VERSION] - Version the tree was built with
+   * @returns {{tree: MerkleTree|null, issues: Array<{level: number, index: number, problem: string}>}}
+   *   The rebuilt tree, null if nodes are missing, and every node that is
+   *   "missing", "tampered" or "unexpected"
    */
-  buildTree(values) {
-    // Create leaf nodes with hash values
-    let leaves = values.map((e) => new Node(null, null, Node.hash(e), false));
+  static fromNodes(nodes, values, root, version = MERKLE_VERSION) {
+    const expected = new MerkleTree(values, version);
+    const stored = new Map(nodes.map((node) => [`${node.level}:${node.index}`, node.value]));
+    const issues = [];
+
+    // Values that no longer reproduce the root implicate the values, not the nodes
+    if (root !== undefined && expected.getRootHash() !== root) {
+      issues.push({ level: 0, index: 0, problem: "values do not reproduce the root" });
+    }
+    const expectedKeys = new Set();
+    for (const { level, index, value } of expected.getNodes()) {
+      const key = `${level}:${index}`;
+      expectedKeys.add(key);
+      if (!stored.has(key)) {
+        issues.push({ level, index, problem: "missing" });
+      } else if (stored.get(key) !== value) {
+        issues.push({ level, index, problem: "tampered" });
+      }
+    }
+    for (const { level, index } of nodes) {
+      if (!expectedKeys.has(`${level}:${index}`)) {
+        issues.push({ level, index, problem: "unexpected" });
+      }
+    }
+    issues.sort((a, b) => a.level - b.level || a.index - b.index);
+    if (issues.some((issue) => issue.problem === "missing")) {
+      return { tree: null, issues };
+    }
 
-    // If there is an odd number of leaves, duplicate the last leaf
-    if (leaves.length % 2 === 1) {
-      leaves.push(leaves[leaves.length - 1].copy());
+    // Link the stored values into nodes from the leaves up; the stored tree is
+    // perfect, with duplicated odd nodes stored again in their copies' places
+    let depth = 0;
+    for (let node = expected.root; node.left !== null; node = node.left) depth++;
+    let level = [];
+    for (let index = 0; index < 2 ** depth; index++) {
+      level.push(new Node(null, null, stored.get(`${depth}:${index}`), false));
+    }
+    for (let levelIndex = depth - 1; levelIndex >= 0; levelIndex--) {
+      const parents = [];
+      for (let index = 0; index < level.length / 2; index++) {
+        const value = stored.get(`${levelIndex}:${index}`);
+        parents.push(new Node(level[index * 2], level[index * 2 + 1], value, false));
+      }
+      level = parents;
     }
 
-    return this.buildTreeRec(leaves); // Build the tree recursively
+    const tree = Object.create(MerkleTree.prototype);
+    tree.version = version;
+    tree.root = level[0];
+    tree.leafHashes = values.map((_, index) => stored.get(`${depth}:${index}`));
+    return { tree, issues };
   }
 
   /**
-   * Recursively builds the Merkle Tree from a list of nodes.
-   * @param {Node[]} nodes - List of nodes at the current level
-   * @param {number} [depth=0] - Current recursion depth
-   * @returns {Node} - Root node of the constructed tree
-   * @throws {Error} - If maximum recursion depth is exceeded or no nodes are provided
+   * Rebuilds a block's tree from its stored Merkle nodes, cross-checked
+   * against the block's Merkle root and its stored transactions.
+   * @param {string} blockHash - Block whose tree to load
+   * @returns {Promise<MerkleTree|null>} - The tree, or null if there is no such block
+   * @throws {InvalidMerkleDataError} - Listing each missing or tampered node by level and index
+   * @throws {HistoryPrunedError} - If the block's transactions and nodes were pruned
    */
-  buildTreeRec(nodes, depth = 0) {
-    const maxDepth = 10; // Maximum allowed recursion depth
-    if (depth > maxDepth) {
-      throw new Error("Max recursion depth exceeded");
-    }
+  static async loadFromDatabase(blockHash) {
+    const storage = getStorage();
+    const row = await storage.getBlock(blockHash);
+    if (!row) return null;
 
-    if (nodes.length === 1) {
-      return nodes[0]; // Return the root node when only one node is left
+    const prunedHeight = await storage.getPrunedHeight();
+    if (Number(row.index) < prunedHeight) {
+      throw new HistoryPrunedError(
+        `Merkle nodes of block ${row.index} have been pruned`,
+        prunedHeight
+      );
     }
-
-    if (nodes.length === 0) {
-      throw new Error("No nodes to process.");
+    const txRows = await storage.getBlockTransactions(blockHash, Number(row.is_main_chain) !== 0);
+    if (txRows.length === 0) {
+      throw new InvalidMerkleDataError(`Block ${row.index} has no stored transactions`);
     }
 
-    // If there is an odd number of nodes, duplicate the last node
-    if (nodes.length % 2 === 1) {
-      nodes.push(nodes[nodes.length - 1].copy());
+    const { tree, issues } = MerkleTree.fromNodes(
+      await storage.getMerkleNodes(blockHash),
+      txRows.map((txRow) => txRow.hash),
+      row.merkle_root,
+      Number(row.merkle_version)
+    );
+    if (issues.length > 0) {
+      const summary = issues
+        .map(({ level, index, problem }) => `${problem} at level ${level}, index ${index}`)
+        .join("; ");
+      throw new InvalidMerkleDataError(`Merkle data of block ${row.index} is damaged: ${summary}`, issues);
     }
+    return tree;
+  }
 
-    // Build the next level of nodes
-    const newLevel = [];
-    for (let i = 0; i < nodes.length; i += 2) {
-      const left = nodes[i];
-      const right = nodes[i + 1];
-      const value = Node.hash(left.value + right.value); // Combine and hash the left and right nodes
-      newLevel.push(new Node(left, right, value, false)); // Create a new parent node
-    }
+  /**
+   * Builds the Merkle Tree one level at a time, from the leaves up, so the
+   * number of leaves is not limited by the call stack.
+   * @param {string[]} leafHashes - Hashes of the leaf nodes, in order
+   * @returns {Node} - Root node of the constructed Merkle Tree
+   */
+  buildTree(leafHashes) {
+    let nodes = leafHashes.map((value) => new Node(null, null, value, false));
+
+    // A single leaf still gets a parent, so every tree has at least one level above its leaves
+    do {
+      // If there is an odd number of nodes, duplicate the last node
+      if (nodes.length % 2 === 1) {
+        nodes.push(nodes[nodes.length - 1].copy());
+      }
 
-    return this.buildTreeRec(newLevel, depth + 1); // Recursively build the tree
+      // Build the next level of nodes
+      const newLevel = [];
+      for (let i = 0; i < nodes.length; i += 2) {
+        const left = nodes[i];
+        const right = nodes[i + 1];
+        const value = Node.hashChildren(left.value, right.value, this.version); // Combine and hash the left and right nodes
+        newLevel.push(new Node(left, right, value, false)); // Create a new parent node
+      }
+      nodes = newLevel;
+    } while (nodes.length > 1);
+
+    return nodes[0];
   }
 
   /**
@@ -176,20 +294,26 @@ class MerkleTree {
   }
 
   /**
-   * Verify a proof path for a given leaf hash.
-   * @param {string} leaf - The hash of the leaf node (transaction hash).
-   * @param {string[]} proof - The proof path (array of sibling hashes).
+   * Verify a proof path for a given value.
+   * @param {string} value - The value the leaf was built from (transaction hash)
+   * @param {Array<{hash: string, position: string}>} proof - Siblings from the leaf up,
+   *   each "left" or "right" of the node on the path (see getProof)
    * @param {string} root - The root hash of the Merkle tree.
+   * @param {number} [version=MERKLE_VERSION] - Version the tree was built with
    * @returns {boolean} - True if the proof is valid, false otherwise.
    */
-  static verifyProof(leaf, proof, root) {
-    let hash = leaf;
+  static verifyProof(value, proof, root, version = MERKLE_VERSION) {
+    if (!Array.isArray(proof) || !MerkleTree.isSupportedVersion(version)) return false;
+    let hash = Node.hashLeaf(value, version);
 
     for (const sibling of proof) {
-      if (hash < sibling) {
-        hash = Node.hash(hash + sibling);
+      if (!sibling || typeof sibling.hash !== "string") return false;
+      if (sibling.position === "left") {
+        hash = Node.hashChildren(sibling.hash, hash, version);
+      } else if (sibling.position === "right") {
+        hash = Node.hashChildren(hash, sibling.hash, version);
       } else {
-        hash = Node.hash(sibling + hash);
+        return false;
       }
     }
 
@@ -197,33 +321,53 @@ class MerkleTree {
   }
 
   /**
-   * Gets the proof for a specific leaf value.
-   * @param {string} leafValue - The hash of the leaf node to find
-   * @returns {Array<string>} - The proof path for the leaf node
+   * Gets the proof for one of the values the tree was built from. Every leaf
+   * is at the same depth, so the bits of the leaf's index, most significant
+   * first, give the way down from the root: 0 goes left, 1 goes right. Where
+   * an odd node was duplicated, its copy is the sibling.
+   * @param {string} value - The value the leaf was built from (transaction hash)
+   * @returns {Array<{hash: string, position: string}>} - Siblings from the leaf up to the root
+   * @throws {Error} - If no leaf was built from the value
    */
-  getProof(leafValue) {
+  getProof(value) {
+    const leafIndex = this.indexOfLeaf(value);
+    if (leafIndex === -1) {
+      throw new Error("Leaf not found in the Merkle Tree");
+    }
+
+    let depth = 0;
+    for (let node = this.root; node.left !== null; node = node.left) depth++;
+
     const proof = [];
     let node = this.root;
-    
-    while (node) {
-      if (node.left && node.left.value === leafValue) {
-        proof.push(node.right ? node.right.value : null);
-        node = node.left;
-      } else if (node.right && node.right.value === leafValue) {
-        proof.push(node.left ? node.left.value : null);
+    for (let level = depth - 1; level >= 0; level--) {
+      if ((leafIndex >> level) & 1) {
+        proof.push({ hash: node.left.value, position: "left" });
         node = node.right;
       } else {
-        if (node.left) proof.push(node.left.value);
-        if (node.right) proof.push(node.right.value);
-        node = null;
+        proof.push({ hash: node.right.value, position: "right" });
+        node = node.left;
       }
     }
-    
-    if (proof.length === 0) {
-      throw new Error("Leaf not found in the Merkle Tree");
-    }
 
-    return proof;
+    return proof.reverse(); // Verification starts at the leaf
+  }
+
+  /**
+   * Finds the position of the leaf built from a value.
+   * @param {string} value - The value the leaf was built from (transaction hash)
+   * @returns {number} - Index of the leaf, or -1 if no leaf was built from the value
+   */
+  indexOfLeaf(value) {
+    // Indexed on first use, so proving every leaf of a large tree stays linear
+    if (!this.leafIndexes) {
+      this.leafIndexes = new Map();
+      this.leafHashes.forEach((hash, index) => {
+        if (!this.leafIndexes.has(hash)) this.leafIndexes.set(hash, index);
+      });
+    }
+    const index = this.leafIndexes.get(Node.hashLeaf(value, this.version));
+    return index === undefined ? -1 : index;
   }
 
   /**
@@ -271,19 +415,38 @@ class MerkleTree {
   }
 }
 
-// New class added to the file
+// Proof paths of stored blocks. merkle_proof_paths is a cache: proofs missing
+// from it are generated from the block's stored Merkle nodes.
 class MerkleProofPath {
-  static async getProofPath(transactionHash) {
-    const query =
-      "SELECT proof_path FROM merkle_proof_paths WHERE transaction_hash = ?";
-    return new Promise((resolve, reject) => {
-      db.query(query, [transactionHash], (err, results) => {
-        if (err) reject(err);
-        else if (results.length > 0) resolve(JSON.parse(results[0].proof_path));
-        else resolve(null);
-      });
-    });
+  /**
+   * Reads the proof path of a transaction, from the proof cache if present.
+   * Pruned nodes throw rather than report a proof they may have deleted as missing.
+   * @param {string} transactionHash - Transaction hash
+   * @param {string|null} [blockHash=null] - Block whose proof to read
+   * @returns {Promise<Array<{hash: string, position: string}>|null>} - Proof path, or null
+   * @throws {HistoryPrunedError} - If the proof may have been pruned
+   */
+  static async getProofPath(transactionHash, blockHash = null) {
+    const proof = await getStorage().getMerkleProof(transactionHash, blockHash);
+    if (proof) return proof;
+
+    const txRow = blockHash
+      ? { block_hash: blockHash }
+      : await getStorage().getTransaction(transactionHash);
+    const tree = txRow && (await MerkleTree.loadFromDatabase(txRow.block_hash));
+    if (tree && tree.indexOfLeaf(transactionHash) !== -1) {
+      return tree.getProof(transactionHash);
+    }
+
+    const prunedHeight = await getStorage().getPrunedHeight();
+    if (prunedHeight > 0) {
+      throw new HistoryPrunedError(
+        `No Merkle proof for ${transactionHash}; proofs below height ${prunedHeight} have been pruned`,
+        prunedHeight
+      );
+    }
+    return null;
   }
 }
 
-module.exports = { Node, MerkleTree };
+module.exports = { Node, MerkleTree, MerkleProofPath, MERKLE_VERSION };
@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/; // e.g. 001_create_ledger_tables.js
+
+/**
+ * Reads the migrations in a directory, ordered by version. Each file is named
+ * `<version>_<name>.js` and exports `up` and `down` arrays of SQL statements.
+ * @param {string} [dir] - Directory holding the migration files
+ * @returns {Array<{version: number, name: string, up: string[], down: string[]}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const { up, down } = require(path.join(dir, file));
+    if (!Array.isArray(up) || !Array.isArray(down)) {
+      throw new Error(`Migration ${file} must export "up" and "down" arrays`);
+    }
+    migrations.push({ version: Number(match[1]), name: match[2], up, down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// Create the table recording which migrations have been applied
+async function ensureMigrationsTable(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT UNSIGNED NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (version)
+  ) ENGINE=InnoDB`);
+}
+
+// Get the applied migration versions, lowest first
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const results = await db.query("SELECT version FROM schema_migrations ORDER BY version ASC");
+  return results.map((row) => Number(row.version));
+}
+
+/**
+ * Applies every pending migration, in version order.
+ * MySQL commits DDL implicitly, so a migration that fails part-way is not
+ * rolled back; the failing statement is reported and nothing is recorded.
+ * @param {Object} db - Database module (see src/db.js)
+ * @param {Array} [migrations] - Migrations to consider
+ * @returns {Promise<Array>} - The migrations that were applied
+ */
+async function migrateUp(db, migrations = loadMigrations()) {
+  const applied = new Set(await getAppliedVersions(db));
+  const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version} ${migration.name}`);
+    for (const statement of migration.up) {
+      await db.query(statement);
+    }
+    await db.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+      migration.version,
+      migration.name,
+    ]);
+  }
+  return pending;
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {Object} db - Database module (see src/db.js)
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @param {Array} [migrations] - Known migrations
+ * @returns {Promise<Array>} - The migrations that were reverted
+ */
+async function rollback(db, steps = 1, migrations = loadMigrations()) {
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  const applied = await getAppliedVersions(db);
+  const reverting = applied.slice(-steps).reverse();
+
+  const reverted = [];
+  for (const version of reverting) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} has no migration file`);
+    }
+    console.log(`Reverting migration ${migration.version} ${migration.name}`);
+    for (const statement of migration.down) {
+      await db.query(statement);
+    }
+    await db.query("DELETE FROM schema_migrations WHERE version = ?", [version]);
+    reverted.push(migration);
+  }
+  return reverted;
+}
+
+/**
+ * Lists every known migration and whether it has been applied.
+ * @param {Object} db - Database module (see src/db.js)
+ * @param {Array} [migrations] - Known migrations
+ * @returns {Promise<Array<{version: number, name: string, applied: boolean}>>}
+ */
+async function status(db, migrations = loadMigrations()) {
+  const applied = new Set(await getAppliedVersions(db));
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+  }));
+}
+
+// Run migrations from the command line:
+//   node src/migrate.js up
+//   node src/migrate.js rollback [steps]
+//   node src/migrate.js status
+if (require.main === module) {
+  const db = require("./db");
+  const [command = "up", arg] = process.argv.slice(2);
+
+  (async () => {
+    await db.connect();
+    if (command === "up") {
+      const applied = await migrateUp(db);
+      console.log(`Applied ${applied.length} migration(s).`);
+    } else if (command === "rollback") {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      const reverted = await rollback(db, steps);
+      console.log(`Reverted ${reverted.length} migration(s).`);
+    } else if (command === "status") {
+      for (const { version, name, applied } of await status(db)) {
+        console.log(`${applied ? "applied" : "pending"}  ${version} ${name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, rollback or status)`);
+    }
+  })()
+    .then(() => db.close())
+    .catch(async (error) => {
+      console.error("Migration failed:", error);
+      await db.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { loadMigrations, migrateUp, rollback, status };
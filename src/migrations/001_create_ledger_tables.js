@@ -0,0 +1,74 @@
+"use strict";
+
+// Core ledger tables: blocks, their transactions, the pending pool and Merkle data.
+// Amounts and fees are DOUBLE so they read back as the same JS numbers that were
+// hashed and signed; multisig policies and proof paths are stored as JSON text.
+module.exports = {
+  up: [
+    `CREATE TABLE blocks (
+      hash CHAR(64) NOT NULL,
+      previous_hash CHAR(64) NOT NULL,
+      timestamp BIGINT NOT NULL,
+      nonce BIGINT NOT NULL,
+      difficulty INT NOT NULL,
+      merkle_root CHAR(64) NOT NULL,
+      \`index\` INT UNSIGNED NOT NULL,
+      PRIMARY KEY (hash),
+      UNIQUE KEY uq_blocks_index (\`index\`),
+      KEY idx_blocks_previous_hash (previous_hash)
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE transactions (
+      hash CHAR(64) NOT NULL,
+      from_address VARCHAR(64) NULL,
+      to_address VARCHAR(64) NOT NULL,
+      amount DOUBLE NOT NULL,
+      timestamp BIGINT NOT NULL,
+      signature TEXT NULL,
+      block_hash CHAR(64) NOT NULL,
+      nonce BIGINT NOT NULL DEFAULT 0,
+      fee DOUBLE NOT NULL DEFAULT 0,
+      public_key VARCHAR(130) NULL,
+      multisig TEXT NULL,
+      PRIMARY KEY (hash),
+      KEY idx_transactions_block_hash (block_hash),
+      KEY idx_transactions_from_nonce (from_address, nonce),
+      KEY idx_transactions_to_address (to_address)
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE pending_transactions (
+      hash CHAR(64) NOT NULL,
+      from_address VARCHAR(64) NULL,
+      to_address VARCHAR(64) NOT NULL,
+      amount DOUBLE NOT NULL,
+      timestamp BIGINT NOT NULL,
+      signature TEXT NULL,
+      nonce BIGINT NOT NULL DEFAULT 0,
+      fee DOUBLE NOT NULL DEFAULT 0,
+      public_key VARCHAR(130) NULL,
+      multisig TEXT NULL,
+      PRIMARY KEY (hash),
+      KEY idx_pending_from_address (from_address),
+      KEY idx_pending_to_address (to_address)
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE merkle_nodes (
+      block_hash CHAR(64) NOT NULL,
+      node_level INT UNSIGNED NOT NULL,
+      node_index BIGINT UNSIGNED NOT NULL,
+      node_value CHAR(64) NOT NULL,
+      PRIMARY KEY (block_hash, node_level, node_index)
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE merkle_proof_paths (
+      block_hash CHAR(64) NOT NULL,
+      transaction_hash CHAR(64) NOT NULL,
+      proof_path TEXT NOT NULL,
+      PRIMARY KEY (block_hash, transaction_hash),
+      KEY idx_merkle_proof_paths_transaction_hash (transaction_hash)
+    ) ENGINE=InnoDB`,
+  ],
+  down: [
+    "DROP TABLE merkle_proof_paths",
+    "DROP TABLE merkle_nodes",
+    "DROP TABLE pending_transactions",
+    "DROP TABLE transactions",
+    "DROP TABLE blocks",
+  ],
+};
@@ -0,0 +1,13 @@
+"use strict";
+
+// Materialized balance per address, kept in step with the main chain by Block.save
+module.exports = {
+  up: [
+    `CREATE TABLE account_state (
+      address VARCHAR(64) NOT NULL,
+      balance DOUBLE NOT NULL DEFAULT 0,
+      PRIMARY KEY (address)
+    ) ENGINE=InnoDB`,
+  ],
+  down: ["DROP TABLE account_state"],
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+// Side-branch blocks share heights with main-chain blocks, so `index` is only
+// unique among main-chain blocks: the generated main_chain_index is NULL for
+// side blocks, and a UNIQUE key ignores NULLs. Transactions of side blocks live
+// in branch_transactions until a reorganization moves them to the main chain.
+module.exports = {
+  up: [
+    `ALTER TABLE blocks
+      ADD COLUMN is_main_chain TINYINT(1) NOT NULL DEFAULT 1,
+      ADD COLUMN main_chain_index INT UNSIGNED
+        GENERATED ALWAYS AS (IF(is_main_chain = 1, \`index\`, NULL)) STORED,
+      DROP INDEX uq_blocks_index,
+      ADD UNIQUE KEY uq_blocks_main_chain_index (main_chain_index),
+      ADD KEY idx_blocks_chain_index (is_main_chain, \`index\`)`,
+    `CREATE TABLE branch_transactions (
+      hash CHAR(64) NOT NULL,
+      from_address VARCHAR(64) NULL,
+      to_address VARCHAR(64) NOT NULL,
+      amount DOUBLE NOT NULL,
+      timestamp BIGINT NOT NULL,
+      signature TEXT NULL,
+      block_hash CHAR(64) NOT NULL,
+      nonce BIGINT NOT NULL DEFAULT 0,
+      fee DOUBLE NOT NULL DEFAULT 0,
+      public_key VARCHAR(130) NULL,
+      multisig TEXT NULL,
+      PRIMARY KEY (block_hash, hash),
+      KEY idx_branch_transactions_hash (hash)
+    ) ENGINE=InnoDB`,
+  ],
+  down: [
+    "DROP TABLE branch_transactions",
+    "DELETE FROM blocks WHERE is_main_chain = 0",
+    `ALTER TABLE blocks
+      DROP INDEX idx_blocks_chain_index,
+      DROP INDEX uq_blocks_main_chain_index,
+      ADD UNIQUE KEY uq_blocks_index (\`index\`),
+      DROP COLUMN main_chain_index,
+      DROP COLUMN is_main_chain`,
+  ],
+};
@@ -0,0 +1,14 @@
+"use strict";
+
+// Records the order of transactions within their block, which the Merkle root
+// depends on. Rows written before this migration keep position 0.
+module.exports = {
+  up: [
+    "ALTER TABLE transactions ADD COLUMN position INT UNSIGNED NOT NULL DEFAULT 0",
+    "ALTER TABLE branch_transactions ADD COLUMN position INT UNSIGNED NOT NULL DEFAULT 0",
+  ],
+  down: [
+    "ALTER TABLE branch_transactions DROP COLUMN position",
+    "ALTER TABLE transactions DROP COLUMN position",
+  ],
+};
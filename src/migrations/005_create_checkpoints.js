@@ -0,0 +1,15 @@
+"use strict";
+
+// Main-chain blocks the node has fully verified. Loading the chain resumes
+// from the highest checkpoint instead of re-verifying everything below it.
+module.exports = {
+  up: [
+    `CREATE TABLE checkpoints (
+      height INT UNSIGNED NOT NULL,
+      block_hash CHAR(64) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (height)
+    ) ENGINE=InnoDB`,
+  ],
+  down: ["DROP TABLE checkpoints"],
+};
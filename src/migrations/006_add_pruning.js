@@ -0,0 +1,21 @@
+"use strict";
+
+// Pruned nodes delete old transaction bodies and Merkle data. node_state
+// records the height below which that happened; pruned_nonces keeps each
+// sender's highest nonce from the deleted transactions so old signed
+// transactions still cannot be replayed.
+module.exports = {
+  up: [
+    `CREATE TABLE node_state (
+      name VARCHAR(64) NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      PRIMARY KEY (name)
+    ) ENGINE=InnoDB`,
+    `CREATE TABLE pruned_nonces (
+      address VARCHAR(64) NOT NULL,
+      nonce BIGINT NOT NULL,
+      PRIMARY KEY (address)
+    ) ENGINE=InnoDB`,
+  ],
+  down: ["DROP TABLE pruned_nonces", "DROP TABLE node_state"],
+};
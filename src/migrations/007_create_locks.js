@@ -0,0 +1,17 @@
+"use strict";
+
+// Leases shared by every node process using the database, e.g. the mining
+// lock. A lease belongs to one owner until it expires; an expired lease may be
+// taken over, so a crashed holder cannot block the others for longer than that.
+module.exports = {
+  up: [
+    `CREATE TABLE locks (
+      resource VARCHAR(64) NOT NULL,
+      owner VARCHAR(255) NOT NULL,
+      acquired_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      expires_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (resource)
+    ) ENGINE=InnoDB`,
+  ],
+  down: ["DROP TABLE locks"],
+};
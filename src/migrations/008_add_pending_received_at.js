@@ -0,0 +1,16 @@
+"use strict";
+
+// When the pending pool accepted each transaction, so the pool can be reloaded
+// in arrival order and expire transactions that have waited too long.
+module.exports = {
+  up: [
+    `ALTER TABLE pending_transactions
+      ADD COLUMN received_at BIGINT NOT NULL DEFAULT 0,
+      ADD KEY idx_pending_received_at (received_at)`,
+  ],
+  down: [
+    `ALTER TABLE pending_transactions
+      DROP INDEX idx_pending_received_at,
+      DROP COLUMN received_at`,
+  ],
+};
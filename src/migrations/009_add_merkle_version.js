@@ -0,0 +1,11 @@
+"use strict";
+
+// How each block's Merkle tree is hashed. Blocks stored before version 2
+// keep version 1, so their roots still validate.
+module.exports = {
+  up: [
+    `ALTER TABLE blocks
+      ADD COLUMN merkle_version TINYINT UNSIGNED NOT NULL DEFAULT 1 AFTER merkle_root`,
+  ],
+  down: ["ALTER TABLE blocks DROP COLUMN merkle_version"],
+};
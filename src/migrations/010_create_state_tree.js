@@ -0,0 +1,20 @@
+"use strict";
+
+// Balance tree committed to by each block's state root (see StateTree). Nodes
+// are keyed by hash and shared between the roots of successive blocks; blocks
+// stored before state roots existed have none.
+module.exports = {
+  up: [
+    `ALTER TABLE blocks
+      ADD COLUMN state_root CHAR(64) NULL AFTER merkle_version`,
+    `CREATE TABLE state_nodes (
+      hash CHAR(64) NOT NULL,
+      left_hash CHAR(64) NULL,
+      right_hash CHAR(64) NULL,
+      address VARCHAR(64) NULL,
+      balance DOUBLE NULL,
+      PRIMARY KEY (hash)
+    ) ENGINE=InnoDB`,
+  ],
+  down: ["DROP TABLE state_nodes", "ALTER TABLE blocks DROP COLUMN state_root"],
+};
@@ -0,0 +1,142 @@
+"use strict";
+
+const { getStorage } = require("./storage");
+const { config } = require("./config");
+const { MerkleTree } = require("./merkleTree");
+const { AccountState, Block, Transaction } = require("./blockchain");
+
+// Blocks at or below the highest checkpoint were verified when it was recorded,
+// and pruned blocks no longer have transactions to check
+async function getFirstUncheckedIndex() {
+  const [latest] = await getStorage().getCheckpoints();
+  const prunedHeight = await getStorage().getPrunedHeight();
+  return Math.max(latest ? latest.height + 1 : 0, prunedHeight);
+}
+
+/**
+ * Finds blocks that earlier versions, which saved a block piece by piece,
+ * left half-written.
+ * @returns {Promise<{broken: Block[], missingMerkleData: Block[]}>} - Blocks whose
+ *   stored transactions do not reproduce their Merkle root, and complete blocks
+ *   whose Merkle nodes or cached proofs are missing
+ */
+async function findHalfWrittenBlocks() {
+  const storage = getStorage();
+  const fromIndex = await getFirstUncheckedIndex();
+  const rows = [
+    ...(await storage.getBlocks(true, fromIndex)),
+    ...(await storage.getBlocks(false, fromIndex)),
+  ];
+
+  const broken = [];
+  const missingMerkleData = [];
+  for (const row of rows) {
+    const isMainChain = Number(row.is_main_chain) !== 0;
+    const txRows = await storage.getBlockTransactions(row.hash, isMainChain);
+    const block = Block.fromRow(row, txRows.map((txData) => Transaction.fromRow(txData)));
+
+    if (block.transactions.length === 0 || block.merkleRoot !== block.calculateMerkleRoot()) {
+      broken.push(block);
+      continue;
+    }
+
+    const stored = await storage.countMerkleData(block.hash);
+    const tree = new MerkleTree(block.transactions.map((tx) => tx.hash), block.merkleVersion);
+    const expectedProofs = config.chain.cacheMerkleProofs ? block.transactions.length : 0;
+    if (stored.nodes !== tree.getNodes().length || stored.proofs < expectedProofs) {
+      missingMerkleData.push(block);
+    }
+  }
+  return { broken, missingMerkleData };
+}
+
+/**
+ * Repairs half-written blocks left by earlier versions. Blocks with complete
+ * transactions get their Merkle data rewritten. Blocks missing transactions
+ * cannot be rebuilt, so they are removed together with every block built on
+ * top of them; their signed transactions go back to the pending pool and the
+ * materialized balances are rebuilt from what remains.
+ * @returns {Promise<{repaired: string[], removed: string[]}>} - Hashes of the
+ *   blocks whose Merkle data was rewritten and of the blocks removed
+ * @throws {HistoryPrunedError} - Before repairing anything, if blocks must be
+ *   removed but this node pruned the transactions the balances are rebuilt from
+ */
+async function recoverBlocks() {
+  const storage = getStorage();
+  const { broken, missingMerkleData } = await findHalfWrittenBlocks();
+  const report = { repaired: [], removed: [] };
+  if (broken.length > 0) await AccountState.assertLedgerComplete();
+
+  for (const block of missingMerkleData) {
+    await storage.transaction(async () => {
+      await storage.deleteMerkleData(block.hash);
+      await block.saveMerkleData();
+    });
+    console.warn(`Rewrote missing Merkle data of block ${block.index} (${block.hash})`);
+    report.repaired.push(block.hash);
+  }
+
+  if (broken.length === 0) return report;
+
+  // Everything built on a broken block is unusable too
+  const fromIndex = await getFirstUncheckedIndex();
+  const rows = [
+    ...(await storage.getBlocks(true, fromIndex)),
+    ...(await storage.getBlocks(false, fromIndex)),
+  ];
+  const removing = new Set(broken.map((block) => block.hash));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const row of rows) {
+      if (!removing.has(row.hash) && removing.has(row.previous_hash)) {
+        removing.add(row.hash);
+        grew = true;
+      }
+    }
+  }
+
+  const pendingHashes = new Set(
+    (await storage.getPendingTransactions()).map((txData) => txData.hash)
+  );
+  await storage.transaction(async () => {
+    for (const row of rows.filter((row) => removing.has(row.hash))) {
+      const isMainChain = Number(row.is_main_chain) !== 0;
+      for (const txData of await storage.getBlockTransactions(row.hash, isMainChain)) {
+        // Reward transactions are only valid inside the block that created them
+        if (txData.from_address === null || pendingHashes.has(txData.hash)) continue;
+        await storage.insertPendingTransaction({
+          ...txData,
+          block_hash: "",
+          received_at: Date.now(),
+        });
+        pendingHashes.add(txData.hash);
+      }
+      await storage.deleteBlock(row.hash);
+      console.warn(`Removed half-written block ${row.index} (${row.hash})`);
+      report.removed.push(row.hash);
+    }
+    await AccountState.rebuild();
+  });
+  return report;
+}
+
+// Repair half-written blocks from the command line:
+//   node src/recovery.js
+if (require.main === module) {
+  getStorage()
+    .connect()
+    .then(() => recoverBlocks())
+    .then(({ repaired, removed }) => {
+      console.log(
+        `Recovery rewrote Merkle data of ${repaired.length} block(s) and removed ${removed.length} block(s).`
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Error recovering blocks:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { findHalfWrittenBlocks, recoverBlocks };
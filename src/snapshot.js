@@ -0,0 +1,314 @@
+"use strict";
+
+// Chain snapshots: the main chain as newline-delimited JSON, one record per
+// line, so files of any size can be written and read as streams.
+//
+//   {"type":"header","format":"aibtccoin-chain","version":1,"createdAt":...,"includesMerkle":false}
+//   {"type":"block","block":{...block row},"transactions":[...transaction rows],"merkle":{...}}
+//   ...
+//   {"type":"trailer","blocks":<count>,"sha256":"<hex>"}
+//
+// Rows use the storage column names. The trailer's checksum is the SHA-256 of
+// every byte before the trailer line, newlines included. "merkle" is only
+// present when the snapshot was exported with Merkle data.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const readline = require("readline");
+const { getStorage } = require("./storage");
+const { Blockchain, Block, Transaction } = require("./blockchain");
+const { MerkleTree } = require("./merkleTree");
+const { InvalidSnapshotError, HistoryPrunedError } = require("./errors");
+
+const SNAPSHOT_FORMAT = "aibtccoin-chain";
+const SNAPSHOT_VERSION = 1;
+const EXPORT_PAGE_SIZE = 500; // Blocks read from storage at a time
+
+// Write a line to a stream, waiting for it to drain when its buffer is full
+function writeLine(stream, line) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => reject(error);
+    stream.once("error", onError);
+    const done = () => {
+      stream.removeListener("error", onError);
+      resolve();
+    };
+    if (stream.write(line)) done();
+    else stream.once("drain", done);
+  });
+}
+
+/**
+ * Writes the main chain to a snapshot file.
+ * @param {string} file - Path of the file to create
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMerkle=false] - Also write each block's Merkle nodes and proofs
+ * @returns {Promise<{blocks: number, sha256: string}>} - What the trailer records
+ * @throws {HistoryPrunedError} - If this node has pruned old transactions
+ */
+async function exportChain(file, { includeMerkle = false } = {}) {
+  const storage = getStorage();
+  const prunedHeight = await storage.getPrunedHeight();
+  if (prunedHeight > 0) {
+    throw new HistoryPrunedError(
+      `Cannot export the chain: blocks below height ${prunedHeight} have been pruned`,
+      prunedHeight
+    );
+  }
+  const stream = fs.createWriteStream(file);
+  const checksum = crypto.createHash("sha256");
+  const write = async (record) => {
+    const line = JSON.stringify(record) + "\n";
+    checksum.update(line);
+    await writeLine(stream, line);
+  };
+
+  try {
+    await write({
+      type: "header",
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: Date.now(),
+      includesMerkle: includeMerkle,
+    });
+
+    let blocks = 0;
+    for (;;) {
+      const page = await storage.getMainChainPage(blocks, EXPORT_PAGE_SIZE);
+      if (page.blocks.length === 0) break;
+
+      const transactionsByBlock = new Map();
+      for (const txData of page.transactions) {
+        if (!transactionsByBlock.has(txData.block_hash)) {
+          transactionsByBlock.set(txData.block_hash, []);
+        }
+        transactionsByBlock.get(txData.block_hash).push(txData);
+      }
+
+      for (const row of page.blocks) {
+        const transactions = (transactionsByBlock.get(row.hash) || []).map((txData) => {
+          const { block_hash: blockHash, position, ...txRow } = Transaction.fromRow(txData).toRow();
+          return txRow; // Block hash and position follow from where the row appears
+        });
+        const { is_main_chain: isMainChain, ...blockRow } = Block.fromRow(row).toRow();
+        const record = { type: "block", block: blockRow, transactions };
+        if (includeMerkle) {
+          record.merkle = await storage.getMerkleData(row.hash);
+        }
+        await write(record);
+        blocks++;
+      }
+    }
+
+    const sha256 = checksum.digest("hex");
+    await writeLine(stream, JSON.stringify({ type: "trailer", blocks, sha256 }) + "\n");
+    return { blocks, sha256 };
+  } finally {
+    await new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+// Yield each line of a file with its 1-based line number
+async function* readLines(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity,
+  });
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    yield { line, number };
+  }
+}
+
+// Parse one snapshot line, reporting where the file is malformed
+function parseRecord(line, number) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new InvalidSnapshotError(`Line ${number} is not valid JSON: ${error.message}`, {
+      line: number,
+    });
+  }
+}
+
+/**
+ * Checks a snapshot's header, structure and checksum without importing it.
+ * @param {string} file - Snapshot file
+ * @returns {Promise<{header: Object, blocks: number}>} - The header and block count
+ * @throws {InvalidSnapshotError} - If the file is malformed or corrupted
+ */
+async function verifySnapshotFile(file) {
+  const checksum = crypto.createHash("sha256");
+  let header = null;
+  let trailer = null;
+  let blocks = 0;
+
+  for await (const { line, number } of readLines(file)) {
+    if (trailer) {
+      throw new InvalidSnapshotError(`Unexpected data after the trailer on line ${number}`, {
+        line: number,
+      });
+    }
+    const record = parseRecord(line, number);
+    if (number === 1) {
+      if (record.type !== "header" || record.format !== SNAPSHOT_FORMAT) {
+        throw new InvalidSnapshotError("File is not a chain snapshot", { line: 1 });
+      }
+      if (record.version !== SNAPSHOT_VERSION) {
+        throw new InvalidSnapshotError(
+          `Unsupported snapshot version ${record.version} (expected ${SNAPSHOT_VERSION})`,
+          { line: 1 }
+        );
+      }
+      header = record;
+    } else if (record.type === "trailer") {
+      trailer = { ...record, line: number };
+      continue;
+    } else if (record.type === "block") {
+      blocks++;
+    } else {
+      throw new InvalidSnapshotError(`Unknown record type "${record.type}" on line ${number}`, {
+        line: number,
+      });
+    }
+    checksum.update(line + "\n");
+  }
+
+  if (!header) throw new InvalidSnapshotError("Snapshot is empty");
+  if (!trailer) {
+    throw new InvalidSnapshotError("Snapshot has no trailer; the file is truncated");
+  }
+  if (trailer.blocks !== blocks) {
+    throw new InvalidSnapshotError(
+      `Trailer records ${trailer.blocks} blocks but the file holds ${blocks}`,
+      { line: trailer.line }
+    );
+  }
+  if (trailer.sha256 !== checksum.digest("hex")) {
+    throw new InvalidSnapshotError("Snapshot checksum does not match its contents", {
+      line: trailer.line,
+    });
+  }
+  return { header, blocks };
+}
+
+// Rebuild a block from a snapshot record and verify it extends the chain
+function readBlock(blockchain, record, lastNonces) {
+  const transactions = (record.transactions || []).map((txRow) =>
+    Transaction.fromRow({ ...txRow, block_hash: record.block.hash })
+  );
+  const block = Block.fromRow(record.block, transactions);
+
+  const expectedIndex = blockchain.getHeight();
+  const previousHash = expectedIndex === 0 ? "0" : blockchain.getLatestBlock().hash;
+  if (Number(block.index) !== expectedIndex) {
+    throw new Error(`Expected block ${expectedIndex} but found block ${block.index}`);
+  }
+  if (block.previousHash !== previousHash) {
+    throw new Error("Previous hash does not match the preceding block");
+  }
+  for (const tx of transactions) {
+    if (tx.hash !== tx.calculateHash()) {
+      throw new Error(`Transaction ${tx.hash} does not match its hash`);
+    }
+  }
+  // Checks signatures, the block hash, the Merkle root, the coinbase, difficulty and proof-of-work
+  block.validate(blockchain.getDifficultyForHeight(expectedIndex), blockchain.miningReward);
+  if (!blockchain.hasIncreasingNonces([block], lastNonces)) {
+    throw new Error("Block reuses a sender nonce");
+  }
+
+  if (record.merkle) {
+    const tree = new MerkleTree(transactions.map((tx) => tx.hash), block.merkleVersion);
+    const expected = tree
+      .getNodes()
+      .sort((a, b) => a.level - b.level || a.index - b.index);
+    if (JSON.stringify(record.merkle.nodes) !== JSON.stringify(expected)) {
+      throw new Error("Merkle nodes do not match the block's transactions");
+    }
+  }
+  return block;
+}
+
+/**
+ * Rebuilds an empty node's database from a snapshot. The file's checksum is
+ * checked first; then every block is re-verified (hashes, Merkle root, state
+ * root, signatures, difficulty, nonces) before it is saved. Import stops at the
+ * first invalid block, keeping the valid blocks before it.
+ * @param {string} file - Snapshot file
+ * @returns {Promise<{blocks: number}>} - Number of blocks imported
+ * @throws {InvalidSnapshotError} - With line, blockIndex, blockHash and imported
+ */
+async function importChain(file) {
+  const storage = getStorage();
+  if ((await storage.getMainChainPage(0, 1)).blocks.length > 0) {
+    throw new InvalidSnapshotError("Refusing to import into a database that already has blocks");
+  }
+  await verifySnapshotFile(file);
+
+  const blockchain = new Blockchain({ createGenesis: false });
+  const lastNonces = new Map();
+  for await (const { line, number } of readLines(file)) {
+    const record = JSON.parse(line);
+    if (record.type !== "block") continue;
+
+    let block;
+    try {
+      block = readBlock(blockchain, record, lastNonces);
+      // Rebuilds the balance tree as it goes, so imported state roots can be proven against
+      if (block.stateRoot !== null && block.stateRoot !== (await blockchain.computeStateRoot(block))) {
+        throw new Error("State root does not match the block's balances");
+      }
+    } catch (error) {
+      throw new InvalidSnapshotError(
+        `Invalid block ${record.block && record.block.index} on line ${number}: ${error.message}`,
+        {
+          line: number,
+          blockIndex: record.block && record.block.index,
+          blockHash: record.block && record.block.hash,
+          imported: blockchain.getHeight(),
+        }
+      );
+    }
+    await blockchain.appendBlock(block);
+  }
+  return { blocks: blockchain.getHeight() };
+}
+
+// Export or import the chain from the command line:
+//   node src/snapshot.js export <file> [--merkle]
+//   node src/snapshot.js import <file>
+if (require.main === module) {
+  const [command, file, ...flags] = process.argv.slice(2);
+
+  (async () => {
+    if (!file || (command !== "export" && command !== "import")) {
+      throw new Error("Usage: node src/snapshot.js export <file> [--merkle] | import <file>");
+    }
+    await getStorage().connect();
+    if (command === "export") {
+      const { blocks, sha256 } = await exportChain(file, {
+        includeMerkle: flags.includes("--merkle"),
+      });
+      console.log(`Exported ${blocks} block(s) to ${file} (sha256 ${sha256})`);
+    } else {
+      const { blocks } = await importChain(file);
+      console.log(`Imported and verified ${blocks} block(s) from ${file}`);
+    }
+  })()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      if (error instanceof InvalidSnapshotError) {
+        console.error(`Import stopped: ${error.message}`);
+        if (error.imported !== undefined) {
+          console.error(`${error.imported} block(s) before it were imported.`);
+        }
+      } else {
+        console.error("Error:", error);
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = { exportChain, importChain, verifySnapshotFile, SNAPSHOT_VERSION };
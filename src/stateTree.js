@@ -0,0 +1,276 @@
+"use strict";
+
+// Sparse Merkle tree over account balances. Every address has a fixed place
+// among 2^256 leaves, given by the bits of sha256(address); a leaf holds the
+// address's balance, and the leaves of addresses without a balance are empty.
+// Empty subtrees hash to precomputed defaults, so only the paths to
+// non-empty leaves are ever stored.
+//
+// Nodes are stored by hash (see Storage.getStateNode) and never change, so an
+// update writes only the nodes on the paths it touches and every earlier root
+// stays readable. A subtree holding a single account is stored as that
+// account, which keeps lookups to about log2(accounts) reads; its hash is
+// the same as if its path had been stored node by node.
+
+const { getStorage } = require("./storage");
+const { Node } = require("./merkleTree");
+
+const DEPTH = 256;
+const LEAF_PREFIX = "\x00";
+const NODE_PREFIX = "\x01";
+const EMPTY_LEAF = "0".repeat(64);
+
+function hashLeaf(address, balance) {
+  return Node.hash(`${LEAF_PREFIX}${address}:${balance}`);
+}
+
+function hashChildren(left, right) {
+  return Node.hash(NODE_PREFIX + left + right);
+}
+
+// Hash of an empty subtree whose root is at each depth; DEFAULTS[0] is the empty tree
+const DEFAULTS = new Array(DEPTH + 1);
+DEFAULTS[DEPTH] = EMPTY_LEAF;
+for (let depth = DEPTH - 1; depth >= 0; depth--) {
+  DEFAULTS[depth] = hashChildren(DEFAULTS[depth + 1], DEFAULTS[depth + 1]);
+}
+const EMPTY_STATE_ROOT = DEFAULTS[0];
+
+// Bit of an address's key that picks the child below `depth`: 0 left, 1 right
+function bitAt(key, depth) {
+  return (parseInt(key[depth >> 2], 16) >> (3 - (depth & 3))) & 1;
+}
+
+function leafEntry(address, balance) {
+  return { address, key: Node.hash(address), balance: Number(balance) };
+}
+
+function split(entries, depth) {
+  return [
+    entries.filter((entry) => bitAt(entry.key, depth) === 0),
+    entries.filter((entry) => bitAt(entry.key, depth) === 1),
+  ];
+}
+
+class StateTree {
+  /**
+   * Hash of a subtree at `depth` holding a single account: its leaf hashed up
+   * with empty siblings.
+   * @param {string} address - Account address
+   * @param {number} balance - Account balance
+   * @param {number} depth - Depth of the subtree's root, 0 for the whole tree
+   * @returns {string} - Subtree hash
+   */
+  static hashSingleLeaf(address, balance, depth) {
+    const key = Node.hash(address);
+    let hash = hashLeaf(address, Number(balance));
+    for (let level = DEPTH; level > depth; level--) {
+      hash = bitAt(key, level - 1)
+        ? hashChildren(DEFAULTS[level], hash)
+        : hashChildren(hash, DEFAULTS[level]);
+    }
+    return hash;
+  }
+
+  /**
+   * Reads a node, preferring nodes written by the update in progress.
+   * @param {string} hash - Node hash
+   * @param {Map<string, Object>} [written] - Nodes not stored yet, by hash
+   * @returns {Promise<Object>} - The node row
+   * @throws {Error} - If the node is not stored
+   */
+  static async readNode(hash, written = new Map()) {
+    const node = written.get(hash) || (await getStorage().getStateNode(hash));
+    if (!node) {
+      throw new Error(`State tree node ${hash} is missing`);
+    }
+    return node;
+  }
+
+  /**
+   * Reads the balance of an address under a state root.
+   * @param {string} root - State root
+   * @param {string} address - Address to look up
+   * @returns {Promise<number>} - Balance, 0 for addresses not in the tree
+   */
+  static async getBalance(root, address) {
+    const key = Node.hash(address);
+    let hash = root;
+    for (let depth = 0; hash !== DEFAULTS[depth]; depth++) {
+      const node = await StateTree.readNode(hash);
+      if (node.address !== null) {
+        return node.address === address ? Number(node.balance) : 0;
+      }
+      hash = bitAt(key, depth) ? node.right_hash : node.left_hash;
+    }
+    return 0;
+  }
+
+  /**
+   * Sets the balances of some addresses and stores the nodes of the new tree.
+   * A balance of 0 removes the address from the tree.
+   * @param {string} root - State root to start from
+   * @param {Map<string, number>} balances - New balance by address
+   * @returns {Promise<string>} - The new state root
+   */
+  static async update(root, balances) {
+    const written = new Map();
+    const entries = [...balances].map(([address, balance]) => leafEntry(address, balance));
+    const newRoot = await StateTree.updateSubtree(root, 0, entries, written);
+    await getStorage().insertStateNodes([...written.values()]);
+    return newRoot;
+  }
+
+  /**
+   * Builds a tree holding exactly the given balances.
+   * @param {Map<string, number>} balances - Balance by address
+   * @returns {Promise<string>} - The state root
+   */
+  static async fromBalances(balances) {
+    return StateTree.update(EMPTY_STATE_ROOT, balances);
+  }
+
+  // Apply updated balances to the subtree with the given hash at `depth`
+  static async updateSubtree(hash, depth, entries, written) {
+    if (entries.length === 0) return hash;
+    if (hash === DEFAULTS[depth]) {
+      return StateTree.buildSubtree(depth, entries, written);
+    }
+
+    const node = await StateTree.readNode(hash, written);
+    if (node.address === null) {
+      const [left, right] = split(entries, depth);
+      return StateTree.joinSubtrees(
+        await StateTree.updateSubtree(node.left_hash, depth + 1, left, written),
+        await StateTree.updateSubtree(node.right_hash, depth + 1, right, written),
+        depth,
+        written
+      );
+    }
+
+    // A single account: rebuild the subtree from it and the updated balances
+    const kept = entries.some((entry) => entry.address === node.address)
+      ? []
+      : [leafEntry(node.address, node.balance)];
+    return StateTree.buildSubtree(depth, entries.concat(kept), written);
+  }
+
+  // Build the subtree at `depth` holding the non-zero balances among `entries`
+  static async buildSubtree(depth, entries, written) {
+    const leaves = entries.filter((entry) => entry.balance !== 0);
+    if (leaves.length === 0) return DEFAULTS[depth];
+    if (leaves.length === 1) {
+      const [{ address, balance }] = leaves;
+      const hash = StateTree.hashSingleLeaf(address, balance, depth);
+      written.set(hash, { hash, left_hash: null, right_hash: null, address, balance });
+      return hash;
+    }
+
+    const [left, right] = split(leaves, depth);
+    return StateTree.joinSubtrees(
+      await StateTree.buildSubtree(depth + 1, left, written),
+      await StateTree.buildSubtree(depth + 1, right, written),
+      depth,
+      written
+    );
+  }
+
+  // Combine two subtrees under a node at `depth`, recording the node. A node
+  // left with one account below it is recorded as that account.
+  static async joinSubtrees(leftHash, rightHash, depth, written) {
+    const hash = hashChildren(leftHash, rightHash);
+    if (hash === DEFAULTS[depth]) return hash;
+
+    const only =
+      leftHash === DEFAULTS[depth + 1] ? rightHash : rightHash === DEFAULTS[depth + 1] ? leftHash : null;
+    if (only !== null) {
+      const child = await StateTree.readNode(only, written);
+      if (child.address !== null) {
+        written.set(hash, { ...child, hash });
+        return hash;
+      }
+    }
+    written.set(hash, { hash, left_hash: leftHash, right_hash: rightHash, address: null, balance: null });
+    return hash;
+  }
+
+  /**
+   * Proves the balance of an address under a state root. A balance of 0
+   * proves that the address is absent from the tree.
+   * @param {string} root - State root
+   * @param {string} address - Address to prove
+   * @returns {Promise<{balance: number, proof: Array<{depth: number, hash: string}>}>}
+   *   The balance and the siblings of the address's path that are not
+   *   empty, from the leaf up; a sibling at depth d is a child of the node at d - 1
+   */
+  static async getProof(root, address) {
+    const key = Node.hash(address);
+    const siblings = [];
+    let balance = 0;
+    let hash = root;
+    for (let depth = 0; hash !== DEFAULTS[depth]; depth++) {
+      const node = await StateTree.readNode(hash);
+      if (node.address === address) {
+        balance = Number(node.balance);
+        break;
+      }
+      if (node.address !== null) {
+        // The other account's subtree sits beside the path where the two keys part
+        const otherKey = Node.hash(node.address);
+        let level = depth;
+        while (level < DEPTH - 1 && bitAt(otherKey, level) === bitAt(key, level)) level++;
+        siblings.push({
+          depth: level + 1,
+          hash: StateTree.hashSingleLeaf(node.address, node.balance, level + 1),
+        });
+        break;
+      }
+
+      const right = bitAt(key, depth) === 1;
+      const sibling = right ? node.left_hash : node.right_hash;
+      if (sibling !== DEFAULTS[depth + 1]) {
+        siblings.push({ depth: depth + 1, hash: sibling });
+      }
+      hash = right ? node.right_hash : node.left_hash;
+    }
+    return { balance, proof: siblings.reverse() };
+  }
+
+  /**
+   * Checks a balance proof without storage.
+   * @param {string} address - Address the proof is for
+   * @param {number} balance - Claimed balance, 0 to claim the address is absent
+   * @param {Array<{depth: number, hash: string}>} proof - Siblings from getProof
+   * @param {string} root - State root to check against
+   * @returns {boolean} - True if the proof leads to the root
+   */
+  static verifyProof(address, balance, proof, root) {
+    if (typeof address !== "string" || !Number.isFinite(balance) || !Array.isArray(proof)) {
+      return false;
+    }
+    const siblings = new Map();
+    for (const sibling of proof) {
+      if (
+        !sibling ||
+        typeof sibling.hash !== "string" ||
+        !Number.isInteger(sibling.depth) ||
+        sibling.depth < 1 ||
+        sibling.depth > DEPTH ||
+        siblings.has(sibling.depth)
+      ) {
+        return false;
+      }
+      siblings.set(sibling.depth, sibling.hash);
+    }
+
+    const key = Node.hash(address);
+    let hash = balance === 0 ? EMPTY_LEAF : hashLeaf(address, balance);
+    for (let depth = DEPTH; depth > 0; depth--) {
+      const sibling = siblings.get(depth) || DEFAULTS[depth];
+      hash = bitAt(key, depth - 1) ? hashChildren(sibling, hash) : hashChildren(hash, sibling);
+    }
+    return hash === root;
+  }
+}
+
+module.exports = { StateTree, EMPTY_STATE_ROOT };
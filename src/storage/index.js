@@ -0,0 +1,48 @@
+"use strict";
+
+const Storage = require("./storage");
+const MemoryStorage = require("./memoryStorage");
+const { config } = require("../config");
+
+let storage = null; // Storage shared by the whole process
+
+/**
+ * Creates a storage backend.
+ * @param {string} [backend] - "mysql" or "memory"; defaults to the configured
+ *   backend (STORAGE_BACKEND or storage.backend in the config file)
+ * @returns {Storage}
+ */
+function createStorage(backend = config.storage.backend) {
+  switch (backend) {
+    case "memory":
+      return new MemoryStorage();
+    case "mysql": {
+      // Required here so the MySQL driver only connects when this backend is used
+      const MySQLStorage = require("./mysqlStorage");
+      return new MySQLStorage();
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Gets the process-wide storage, creating the configured backend on first use.
+ * @returns {Storage}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replaces the process-wide storage, e.g. with a fresh MemoryStorage in tests.
+ * @param {Storage} nextStorage - Storage to use from now on
+ */
+function setStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+module.exports = { Storage, MemoryStorage, createStorage, getStorage, setStorage };
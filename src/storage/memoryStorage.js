@@ -0,0 +1,427 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+const Storage = require("./storage");
+
+// Error shaped like the MySQL duplicate-key error, so callers can treat both alike
+function duplicateEntry(table, key) {
+  const error = new Error(`Duplicate entry '${key}' in ${table}`);
+  error.code = "ER_DUP_ENTRY";
+  return error;
+}
+
+// Storage kept entirely in process memory. Nothing survives a restart; meant
+// for tests and throwaway nodes that should run without a database server.
+class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    this.state = {
+      blocks: new Map(), // Block rows by hash
+      transactions: new Map(), // Main-chain transaction rows by hash
+      branchTransactions: [], // Transaction rows of side-branch blocks
+      pendingTransactions: new Map(), // Pending transaction rows by hash
+      balances: new Map(), // Materialized balance by address
+      merkleNodes: [], // { block_hash, node_level, node_index, node_value }
+      merkleProofs: [], // { block_hash, transaction_hash, proof_path }
+      checkpoints: new Map(), // Checkpoint rows by height
+      prunedNonces: new Map(), // Highest pruned nonce by sender
+      prunedHeight: 0, // Blocks below this height have been pruned
+      stateNodes: new Map(), // Balance tree nodes by hash
+    };
+    this.locks = new Map(); // { owner, expiresAt } by resource; kept out of `state` so rollbacks leave them alone
+    // Undo log of the transaction the current async context runs in: functions
+    // undoing each of its writes, oldest first
+    this.activeTransaction = new AsyncLocalStorage();
+    this.transactionQueue = Promise.resolve(); // Settles when the last transaction started so far ends
+  }
+
+  // Nested calls join the surrounding transaction. Other transactions wait for
+  // the open one to end, so a rollback only ever undoes its own writes.
+  async transaction(work) {
+    if (this.activeTransaction.getStore()) return work();
+
+    const previous = this.transactionQueue;
+    let finished;
+    this.transactionQueue = new Promise((resolve) => {
+      finished = resolve;
+    });
+    await previous;
+
+    // Writes log how to undo themselves, so a transaction costs as much as
+    // what it writes rather than a copy of all stored state
+    const undoLog = [];
+    try {
+      return await this.activeTransaction.run(undoLog, work);
+    } catch (error) {
+      undoLog.reverse().forEach((undo) => undo()); // Roll back everything written by `work`
+      throw error;
+    } finally {
+      finished();
+    }
+  }
+
+  // Log how to undo a write made inside a transaction
+  recordUndo(undo) {
+    const undoLog = this.activeTransaction.getStore();
+    if (undoLog) undoLog.push(undo);
+  }
+
+  setEntry(map, key, value) {
+    const had = map.has(key);
+    const previous = map.get(key);
+    this.recordUndo(() => (had ? map.set(key, previous) : map.delete(key)));
+    map.set(key, value);
+  }
+
+  deleteEntry(map, key) {
+    if (!map.has(key)) return;
+    const previous = map.get(key);
+    this.recordUndo(() => map.set(key, previous));
+    map.delete(key);
+  }
+
+  pushRow(rows, row) {
+    const { length } = rows;
+    this.recordUndo(() => {
+      rows.length = length;
+    });
+    rows.push(row);
+  }
+
+  // Replace a whole entry of `state`, e.g. with a filtered copy of it
+  replaceState(name, value) {
+    const previous = this.state[name];
+    this.recordUndo(() => {
+      this.state[name] = previous;
+    });
+    this.state[name] = value;
+  }
+
+  // Main-chain block at an index, other than the block with the given hash
+  findMainChainBlock(index, exceptHash) {
+    for (const row of this.state.blocks.values()) {
+      if (
+        row.hash !== exceptHash &&
+        Number(row.is_main_chain) === 1 &&
+        Number(row.index) === Number(index)
+      ) {
+        return row;
+      }
+    }
+    return null;
+  }
+
+  // Like uq_blocks_main_chain_index, only one main-chain block may sit at an index
+  async insertBlock(row) {
+    if (this.state.blocks.has(row.hash)) throw duplicateEntry("blocks", row.hash);
+    if (Number(row.is_main_chain) === 1 && this.findMainChainBlock(row.index, row.hash)) {
+      throw duplicateEntry("blocks", row.index);
+    }
+    this.setEntry(this.state.blocks, row.hash, { ...row });
+  }
+
+  async getBlock(hash) {
+    const row = this.state.blocks.get(hash);
+    return row ? { ...row } : null;
+  }
+
+  async getBlocks(isMainChain, fromIndex = 0) {
+    return [...this.state.blocks.values()]
+      .filter((row) => Boolean(Number(row.is_main_chain)) === Boolean(isMainChain))
+      .filter((row) => Number(row.index) >= fromIndex)
+      .sort((a, b) => Number(a.index) - Number(b.index))
+      .map((row) => ({ ...row }));
+  }
+
+  async getMainChainPage(fromIndex, limit) {
+    const blocks = (await this.getBlocks(true, fromIndex)).slice(0, limit);
+    const transactions = [];
+    for (const block of blocks) {
+      transactions.push(...(await this.getBlockTransactions(block.hash)));
+    }
+    return { blocks, transactions };
+  }
+
+  async setBlockMainChain(hash, isMainChain) {
+    const row = this.state.blocks.get(hash);
+    if (!row) return;
+    if (isMainChain && this.findMainChainBlock(row.index, hash)) {
+      throw duplicateEntry("blocks", row.index);
+    }
+    const previous = row.is_main_chain;
+    this.recordUndo(() => {
+      row.is_main_chain = previous;
+    });
+    row.is_main_chain = isMainChain ? 1 : 0;
+  }
+
+  async insertTransaction(row, isMainChain = true) {
+    if (!isMainChain) {
+      const exists = this.state.branchTransactions.some(
+        (tx) => tx.hash === row.hash && tx.block_hash === row.block_hash
+      );
+      if (exists) throw duplicateEntry("branch_transactions", row.hash);
+      this.pushRow(this.state.branchTransactions, { ...row });
+      return;
+    }
+    if (this.state.transactions.has(row.hash)) {
+      throw duplicateEntry("transactions", row.hash);
+    }
+    this.setEntry(this.state.transactions, row.hash, { ...row });
+  }
+
+  async getTransaction(hash) {
+    const row = this.state.transactions.get(hash);
+    return row ? { ...row } : null;
+  }
+
+  async getBlockTransactions(blockHash, isMainChain = true) {
+    const rows = isMainChain
+      ? [...this.state.transactions.values()]
+      : this.state.branchTransactions;
+    return rows
+      .filter((row) => row.block_hash === blockHash)
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map((row) => ({ ...row }));
+  }
+
+  async moveBlockTransactions(blockHash, toMainChain) {
+    const rows = await this.getBlockTransactions(blockHash, !toMainChain);
+    for (const row of rows) {
+      await this.insertTransaction(row, toMainChain);
+    }
+    if (toMainChain) {
+      this.replaceState(
+        "branchTransactions",
+        this.state.branchTransactions.filter((row) => row.block_hash !== blockHash)
+      );
+    } else {
+      rows.forEach((row) => this.deleteEntry(this.state.transactions, row.hash));
+    }
+  }
+
+  async deleteBlock(hash) {
+    for (const row of await this.getBlockTransactions(hash)) {
+      this.deleteEntry(this.state.transactions, row.hash);
+    }
+    this.replaceState(
+      "branchTransactions",
+      this.state.branchTransactions.filter((row) => row.block_hash !== hash)
+    );
+    await this.deleteMerkleData(hash);
+    this.deleteEntry(this.state.blocks, hash);
+  }
+
+  async getLastNonce(address, beforeIndex = Infinity) {
+    let lastNonce = this.state.prunedNonces.has(address)
+      ? this.state.prunedNonces.get(address)
+      : null;
+    for (const row of this.state.transactions.values()) {
+      if (row.from_address !== address) continue;
+      const block = this.state.blocks.get(row.block_hash);
+      if (Number.isFinite(beforeIndex) && !(block && Number(block.index) < beforeIndex)) continue;
+      if (lastNonce === null || Number(row.nonce) > lastNonce) {
+        lastNonce = Number(row.nonce);
+      }
+    }
+    return lastNonce;
+  }
+
+  async findAddressesWithTransactions(addresses) {
+    const wanted = new Set(addresses);
+    const found = new Set();
+    for (const row of this.state.transactions.values()) {
+      if (wanted.has(row.from_address)) found.add(row.from_address);
+      if (wanted.has(row.to_address)) found.add(row.to_address);
+    }
+    for (const address of this.state.balances.keys()) {
+      if (wanted.has(address)) found.add(address);
+    }
+    return found;
+  }
+
+  async insertPendingTransaction(row) {
+    if (this.state.pendingTransactions.has(row.hash)) {
+      throw duplicateEntry("pending_transactions", row.hash);
+    }
+    this.setEntry(this.state.pendingTransactions, row.hash, { ...row });
+  }
+
+  async getPendingTransactions() {
+    return [...this.state.pendingTransactions.values()]
+      .sort((a, b) => a.received_at - b.received_at)
+      .map((row) => ({ ...row }));
+  }
+
+  async countPendingTransactions() {
+    return this.state.pendingTransactions.size;
+  }
+
+  async deletePendingTransactions(hashes) {
+    hashes.forEach((hash) => this.deleteEntry(this.state.pendingTransactions, hash));
+  }
+
+  async applyBalanceChanges(changes) {
+    for (const [address, delta] of changes) {
+      this.setEntry(this.state.balances, address, (this.state.balances.get(address) || 0) + delta);
+    }
+  }
+
+  async getBalance(address) {
+    return this.state.balances.get(address) || 0;
+  }
+
+  async getBalances() {
+    return new Map(this.state.balances);
+  }
+
+  async getLedgerBalances() {
+    const balances = new Map();
+    const addChange = (address, delta) => {
+      balances.set(address, (balances.get(address) || 0) + delta);
+    };
+    for (const row of this.state.transactions.values()) {
+      if (row.from_address !== null) {
+        addChange(row.from_address, -(Number(row.amount) + Number(row.fee)));
+      }
+      addChange(row.to_address, Number(row.amount));
+    }
+    return balances;
+  }
+
+  async replaceBalances(balances) {
+    this.replaceState("balances", new Map(balances));
+  }
+
+  async insertMerkleNode(blockHash, level, index, value) {
+    this.pushRow(this.state.merkleNodes, {
+      block_hash: blockHash,
+      node_level: level,
+      node_index: index,
+      node_value: value,
+    });
+  }
+
+  async insertMerkleProof(blockHash, transactionHash, proof) {
+    this.pushRow(this.state.merkleProofs, {
+      block_hash: blockHash,
+      transaction_hash: transactionHash,
+      proof_path: JSON.stringify(proof),
+    });
+  }
+
+  async countMerkleData(blockHash) {
+    return {
+      nodes: this.state.merkleNodes.filter((node) => node.block_hash === blockHash).length,
+      proofs: this.state.merkleProofs.filter((proof) => proof.block_hash === blockHash).length,
+    };
+  }
+
+  async getMerkleNodes(blockHash) {
+    return this.state.merkleNodes
+      .filter((node) => node.block_hash === blockHash)
+      .sort((a, b) => a.node_level - b.node_level || a.node_index - b.node_index)
+      .map((node) => ({ level: node.node_level, index: node.node_index, value: node.node_value }));
+  }
+
+  async getMerkleData(blockHash) {
+    return {
+      nodes: await this.getMerkleNodes(blockHash),
+      proofs: this.state.merkleProofs
+        .filter((proof) => proof.block_hash === blockHash)
+        .map((proof) => ({
+          transactionHash: proof.transaction_hash,
+          proof: JSON.parse(proof.proof_path),
+        })),
+    };
+  }
+
+  async deleteMerkleData(blockHash) {
+    this.replaceState(
+      "merkleNodes",
+      this.state.merkleNodes.filter((node) => node.block_hash !== blockHash)
+    );
+    this.replaceState(
+      "merkleProofs",
+      this.state.merkleProofs.filter((proof) => proof.block_hash !== blockHash)
+    );
+  }
+
+  async getMerkleProof(transactionHash, blockHash = null) {
+    const row = this.state.merkleProofs.find(
+      (proof) =>
+        proof.transaction_hash === transactionHash &&
+        (blockHash === null || proof.block_hash === blockHash)
+    );
+    return row ? JSON.parse(row.proof_path) : null;
+  }
+
+  async saveCheckpoint(row) {
+    this.setEntry(this.state.checkpoints, row.height, { height: row.height, block_hash: row.block_hash });
+  }
+
+  async getCheckpoints() {
+    return [...this.state.checkpoints.values()]
+      .sort((a, b) => b.height - a.height)
+      .map((row) => ({ ...row }));
+  }
+
+  async pruneBlocks(belowIndex) {
+    const pruning = [...this.state.blocks.values()].filter(
+      (row) => Number(row.index) < belowIndex
+    );
+    for (const row of pruning) {
+      if (Number(row.is_main_chain) === 0) {
+        await this.deleteBlock(row.hash);
+        continue;
+      }
+      for (const txRow of await this.getBlockTransactions(row.hash)) {
+        const pruned = this.state.prunedNonces.get(txRow.from_address);
+        if (txRow.from_address !== null && !(pruned >= Number(txRow.nonce))) {
+          this.setEntry(this.state.prunedNonces, txRow.from_address, Number(txRow.nonce));
+        }
+        this.deleteEntry(this.state.transactions, txRow.hash);
+      }
+      await this.deleteMerkleData(row.hash);
+    }
+    this.replaceState("prunedHeight", belowIndex);
+  }
+
+  async getPrunedHeight() {
+    return this.state.prunedHeight;
+  }
+
+  async getStateNode(hash) {
+    const row = this.state.stateNodes.get(hash);
+    return row ? { ...row } : null;
+  }
+
+  async insertStateNodes(rows) {
+    for (const row of rows) {
+      if (!this.state.stateNodes.has(row.hash)) this.setEntry(this.state.stateNodes, row.hash, { ...row });
+    }
+  }
+
+  // Only processes sharing this object see these locks, which suits single-process nodes
+  async acquireLock(resource, owner, ttl) {
+    const lock = this.locks.get(resource);
+    if (lock && lock.expiresAt >= Date.now()) return false;
+    if (lock) console.warn(`Took over the expired lock on ${resource} from ${lock.owner}`);
+    this.locks.set(resource, { owner, expiresAt: Date.now() + ttl });
+    return true;
+  }
+
+  async renewLock(resource, owner, ttl) {
+    const lock = this.locks.get(resource);
+    if (!lock || lock.owner !== owner || lock.expiresAt < Date.now()) return false;
+    lock.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async releaseLock(resource, owner) {
+    const lock = this.locks.get(resource);
+    if (lock && lock.owner === owner) this.locks.delete(resource);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,450 @@
+"use strict";
+
+const db = require("../db"); // Database module for interacting with the database
+const { config } = require("../config");
+const Storage = require("./storage");
+
+const TRANSACTION_COLUMNS =
+  "hash, from_address, to_address, amount, timestamp, signature, block_hash, nonce, fee, public_key, multisig, position";
+const PENDING_COLUMNS =
+  "hash, from_address, to_address, amount, timestamp, signature, nonce, fee, public_key, multisig, received_at";
+
+// Storage backed by the MySQL tables in the `blockchain` database
+class MySQLStorage extends Storage {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Rows per multi-row INSERT; 1 writes each row on its own
+   */
+  constructor({ batchSize = config.db.insertBatchSize } = {}) {
+    super();
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid insert batch size: ${batchSize}`);
+    }
+    this.batchSize = batchSize;
+  }
+
+  async connect() {
+    await db.connect();
+  }
+
+  async healthCheck() {
+    return db.healthCheck();
+  }
+
+  // Run a query and resolve with its results
+  query(query, values = []) {
+    return db.query(query, values);
+  }
+
+  async transaction(work) {
+    return db.transaction(work);
+  }
+
+  // Insert rows (arrays of column values) with one INSERT per batch of rows,
+  // optionally skipping rows whose key is already stored
+  async insertRows(table, columns, rows, { ignoreDuplicates = false } = {}) {
+    const insert = ignoreDuplicates ? "INSERT IGNORE" : "INSERT";
+    for (let start = 0; start < rows.length; start += this.batchSize) {
+      await this.query(`${insert} INTO ${table} (${columns}) VALUES ?`, [
+        rows.slice(start, start + this.batchSize),
+      ]);
+    }
+  }
+
+  async insertBlock(row) {
+    await this.query(
+      "INSERT INTO blocks (hash, previous_hash, timestamp, nonce, difficulty, merkle_root, merkle_version, state_root, `index`, is_main_chain) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        row.hash,
+        row.previous_hash,
+        row.timestamp,
+        row.nonce,
+        row.difficulty,
+        row.merkle_root,
+        row.merkle_version,
+        row.state_root,
+        row.index,
+        row.is_main_chain,
+      ]
+    );
+  }
+
+  async getBlock(hash) {
+    const results = await this.query("SELECT * FROM blocks WHERE hash = ?", [hash]);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  async getBlocks(isMainChain, fromIndex = 0) {
+    return this.query(
+      "SELECT * FROM blocks WHERE is_main_chain = ? AND `index` >= ? ORDER BY `index` ASC",
+      [isMainChain ? 1 : 0, fromIndex]
+    );
+  }
+
+  async getMainChainPage(fromIndex, limit) {
+    const blocks = await this.query(
+      "SELECT * FROM blocks WHERE is_main_chain = 1 AND `index` >= ? ORDER BY `index` ASC LIMIT ?",
+      [fromIndex, limit]
+    );
+    if (blocks.length === 0) return { blocks, transactions: [] };
+
+    const transactions = await this.query(
+      "SELECT t.* FROM blocks b JOIN transactions t ON t.block_hash = b.hash WHERE b.is_main_chain = 1 AND b.`index` BETWEEN ? AND ? ORDER BY b.`index` ASC, t.position ASC",
+      [blocks[0].index, blocks[blocks.length - 1].index]
+    );
+    return { blocks, transactions };
+  }
+
+  async setBlockMainChain(hash, isMainChain) {
+    await this.query("UPDATE blocks SET is_main_chain = ? WHERE hash = ?", [
+      isMainChain ? 1 : 0,
+      hash,
+    ]);
+  }
+
+  async insertTransaction(row, isMainChain = true) {
+    await this.insertTransactions([row], isMainChain);
+  }
+
+  async insertTransactions(rows, isMainChain = true) {
+    const table = isMainChain ? "transactions" : "branch_transactions";
+    await this.insertRows(
+      table,
+      TRANSACTION_COLUMNS,
+      rows.map((row) => [
+        row.hash,
+        row.from_address,
+        row.to_address,
+        row.amount,
+        row.timestamp,
+        row.signature,
+        row.block_hash,
+        row.nonce,
+        row.fee,
+        row.public_key,
+        row.multisig,
+        row.position || 0,
+      ])
+    );
+  }
+
+  async getTransaction(hash) {
+    const results = await this.query("SELECT * FROM transactions WHERE hash = ?", [hash]);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  async getBlockTransactions(blockHash, isMainChain = true) {
+    const table = isMainChain ? "transactions" : "branch_transactions";
+    return this.query(`SELECT * FROM ${table} WHERE block_hash = ? ORDER BY position ASC`, [
+      blockHash,
+    ]);
+  }
+
+  async moveBlockTransactions(blockHash, toMainChain) {
+    const [from, to] = toMainChain
+      ? ["branch_transactions", "transactions"]
+      : ["transactions", "branch_transactions"];
+    await this.query(
+      `INSERT INTO ${to} (${TRANSACTION_COLUMNS}) SELECT ${TRANSACTION_COLUMNS} FROM ${from} WHERE block_hash = ?`,
+      [blockHash]
+    );
+    await this.query(`DELETE FROM ${from} WHERE block_hash = ?`, [blockHash]);
+  }
+
+  async deleteBlock(hash) {
+    await this.transaction(async () => {
+      await this.query("DELETE FROM transactions WHERE block_hash = ?", [hash]);
+      await this.query("DELETE FROM branch_transactions WHERE block_hash = ?", [hash]);
+      await this.deleteMerkleData(hash);
+      await this.query("DELETE FROM blocks WHERE hash = ?", [hash]);
+    });
+  }
+
+  async getLastNonce(address, beforeIndex = Infinity) {
+    const results = Number.isFinite(beforeIndex)
+      ? await this.query(
+          "SELECT MAX(t.nonce) AS nonce FROM transactions t JOIN blocks b ON b.hash = t.block_hash WHERE t.from_address = ? AND b.`index` < ?",
+          [address, beforeIndex]
+        )
+      : await this.query(
+          "SELECT MAX(nonce) AS nonce FROM transactions WHERE from_address = ?",
+          [address]
+        );
+    const pruned = await this.query("SELECT nonce FROM pruned_nonces WHERE address = ?", [
+      address,
+    ]);
+    const nonces = [results[0].nonce, pruned.length > 0 ? pruned[0].nonce : null]
+      .filter((nonce) => nonce !== null)
+      .map(Number);
+    return nonces.length > 0 ? Math.max(...nonces) : null;
+  }
+
+  async findAddressesWithTransactions(addresses) {
+    const results = await this.query(
+      "SELECT from_address AS address FROM transactions WHERE from_address IN (?) UNION SELECT to_address AS address FROM transactions WHERE to_address IN (?) UNION SELECT address FROM account_state WHERE address IN (?)",
+      [addresses, addresses, addresses]
+    );
+    return new Set(results.map((row) => row.address));
+  }
+
+  async insertPendingTransaction(row) {
+    await this.query(
+      `INSERT INTO pending_transactions (${PENDING_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.hash,
+        row.from_address,
+        row.to_address,
+        row.amount,
+        row.timestamp,
+        row.signature,
+        row.nonce,
+        row.fee,
+        row.public_key,
+        row.multisig,
+        row.received_at,
+      ]
+    );
+  }
+
+  async getPendingTransactions() {
+    return this.query("SELECT * FROM pending_transactions ORDER BY received_at, hash");
+  }
+
+  async countPendingTransactions() {
+    const results = await this.query("SELECT COUNT(*) AS count FROM pending_transactions");
+    return results[0].count;
+  }
+
+  async deletePendingTransactions(hashes) {
+    if (hashes.length === 0) return;
+    await this.query("DELETE FROM pending_transactions WHERE hash IN (?)", [hashes]);
+  }
+
+  async applyBalanceChanges(changes) {
+    for (const [address, delta] of changes) {
+      await this.query(
+        "INSERT INTO account_state (address, balance) VALUES (?, ?) ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)",
+        [address, delta]
+      );
+    }
+  }
+
+  async getBalance(address) {
+    const results = await this.query(
+      "SELECT balance FROM account_state WHERE address = ?",
+      [address]
+    );
+    return results.length > 0 ? Number(results[0].balance) : 0;
+  }
+
+  async getBalances() {
+    const results = await this.query("SELECT address, balance FROM account_state");
+    return new Map(results.map((row) => [row.address, Number(row.balance)]));
+  }
+
+  async getLedgerBalances() {
+    const results = await this.query(`
+      SELECT address, SUM(delta) AS balance FROM (
+        SELECT from_address AS address, -(amount + fee) AS delta
+        FROM transactions WHERE from_address IS NOT NULL
+        UNION ALL
+        SELECT to_address AS address, amount AS delta FROM transactions
+      ) AS ledger
+      GROUP BY address
+    `);
+    return new Map(results.map((row) => [row.address, Number(row.balance)]));
+  }
+
+  async replaceBalances(balances) {
+    await this.transaction(async () => {
+      await this.query("DELETE FROM account_state");
+      for (const [address, balance] of balances) {
+        await this.query(
+          "INSERT INTO account_state (address, balance) VALUES (?, ?)",
+          [address, balance]
+        );
+      }
+    });
+  }
+
+  async insertMerkleNode(blockHash, level, index, value) {
+    await this.insertMerkleNodes(blockHash, [{ level, index, value }]);
+  }
+
+  async insertMerkleNodes(blockHash, nodes) {
+    await this.insertRows(
+      "merkle_nodes",
+      "block_hash, node_level, node_index, node_value",
+      nodes.map(({ level, index, value }) => [blockHash, level, index, value])
+    );
+  }
+
+  async insertMerkleProof(blockHash, transactionHash, proof) {
+    await this.insertMerkleProofs(blockHash, [{ transactionHash, proof }]);
+  }
+
+  async insertMerkleProofs(blockHash, proofs) {
+    await this.insertRows(
+      "merkle_proof_paths",
+      "block_hash, transaction_hash, proof_path",
+      proofs.map(({ transactionHash, proof }) => [blockHash, transactionHash, JSON.stringify(proof)])
+    );
+  }
+
+  async countMerkleData(blockHash) {
+    const [nodes] = await this.query(
+      "SELECT COUNT(*) AS count FROM merkle_nodes WHERE block_hash = ?",
+      [blockHash]
+    );
+    const [proofs] = await this.query(
+      "SELECT COUNT(*) AS count FROM merkle_proof_paths WHERE block_hash = ?",
+      [blockHash]
+    );
+    return { nodes: Number(nodes.count), proofs: Number(proofs.count) };
+  }
+
+  async getMerkleNodes(blockHash) {
+    const nodes = await this.query(
+      "SELECT node_level, node_index, node_value FROM merkle_nodes WHERE block_hash = ? ORDER BY node_level ASC, node_index ASC",
+      [blockHash]
+    );
+    return nodes.map((row) => ({
+      level: Number(row.node_level),
+      index: Number(row.node_index),
+      value: row.node_value,
+    }));
+  }
+
+  async getMerkleData(blockHash) {
+    const proofs = await this.query(
+      "SELECT transaction_hash, proof_path FROM merkle_proof_paths WHERE block_hash = ?",
+      [blockHash]
+    );
+    return {
+      nodes: await this.getMerkleNodes(blockHash),
+      proofs: proofs.map((row) => ({
+        transactionHash: row.transaction_hash,
+        proof: JSON.parse(row.proof_path),
+      })),
+    };
+  }
+
+  async deleteMerkleData(blockHash) {
+    await this.query("DELETE FROM merkle_nodes WHERE block_hash = ?", [blockHash]);
+    await this.query("DELETE FROM merkle_proof_paths WHERE block_hash = ?", [blockHash]);
+  }
+
+  async getMerkleProof(transactionHash, blockHash = null) {
+    const results = blockHash
+      ? await this.query(
+          "SELECT proof_path FROM merkle_proof_paths WHERE transaction_hash = ? AND block_hash = ?",
+          [transactionHash, blockHash]
+        )
+      : await this.query(
+          "SELECT proof_path FROM merkle_proof_paths WHERE transaction_hash = ?",
+          [transactionHash]
+        );
+    return results.length > 0 ? JSON.parse(results[0].proof_path) : null;
+  }
+
+  async saveCheckpoint(row) {
+    await this.query(
+      "INSERT INTO checkpoints (height, block_hash) VALUES (?, ?) ON DUPLICATE KEY UPDATE block_hash = VALUES(block_hash), created_at = CURRENT_TIMESTAMP",
+      [row.height, row.block_hash]
+    );
+  }
+
+  async getCheckpoints() {
+    const results = await this.query(
+      "SELECT height, block_hash FROM checkpoints ORDER BY height DESC"
+    );
+    return results.map((row) => ({ height: Number(row.height), block_hash: row.block_hash }));
+  }
+
+  async pruneBlocks(belowIndex) {
+    await this.transaction(async () => {
+      await this.query(
+        `INSERT INTO pruned_nonces (address, nonce)
+          SELECT t.from_address, MAX(t.nonce) FROM transactions t
+          JOIN blocks b ON b.hash = t.block_hash
+          WHERE b.\`index\` < ? AND t.from_address IS NOT NULL
+          GROUP BY t.from_address
+        ON DUPLICATE KEY UPDATE nonce = GREATEST(pruned_nonces.nonce, VALUES(nonce))`,
+        [belowIndex]
+      );
+      await this.query(
+        "DELETE t FROM transactions t JOIN blocks b ON b.hash = t.block_hash WHERE b.`index` < ?",
+        [belowIndex]
+      );
+      for (const table of ["merkle_nodes", "merkle_proof_paths"]) {
+        await this.query(
+          `DELETE m FROM ${table} m JOIN blocks b ON b.hash = m.block_hash WHERE b.\`index\` < ?`,
+          [belowIndex]
+        );
+      }
+      await this.query(
+        "DELETE bt FROM branch_transactions bt JOIN blocks b ON b.hash = bt.block_hash WHERE b.is_main_chain = 0 AND b.`index` < ?",
+        [belowIndex]
+      );
+      await this.query("DELETE FROM blocks WHERE is_main_chain = 0 AND `index` < ?", [
+        belowIndex,
+      ]);
+      await this.query(
+        "INSERT INTO node_state (name, value) VALUES ('pruned_height', ?) ON DUPLICATE KEY UPDATE value = VALUES(value)",
+        [String(belowIndex)]
+      );
+    });
+  }
+
+  async getPrunedHeight() {
+    const results = await this.query(
+      "SELECT value FROM node_state WHERE name = 'pruned_height'"
+    );
+    return results.length > 0 ? Number(results[0].value) : 0;
+  }
+
+  async getStateNode(hash) {
+    const results = await this.query("SELECT * FROM state_nodes WHERE hash = ?", [hash]);
+    return results[0] || null;
+  }
+
+  // Nodes are keyed by their hash, so a node stored before is the same node
+  async insertStateNodes(rows) {
+    await this.insertRows(
+      "state_nodes",
+      "hash, left_hash, right_hash, address, balance",
+      rows.map((row) => [row.hash, row.left_hash, row.right_hash, row.address, row.balance]),
+      { ignoreDuplicates: true }
+    );
+  }
+
+  // Lease times come from the database clock, so hosts whose clocks disagree still agree on expiry
+  async acquireLock(resource, owner, ttl) {
+    const expired = await this.query(
+      "DELETE FROM locks WHERE resource = ? AND expires_at < NOW(3)",
+      [resource]
+    );
+    if (expired.affectedRows > 0) {
+      console.warn(`Took over the expired lock on ${resource}`);
+    }
+    const result = await this.query(
+      "INSERT IGNORE INTO locks (resource, owner, expires_at) VALUES (?, ?, NOW(3) + INTERVAL ? MICROSECOND)",
+      [resource, owner, ttl * 1000]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async renewLock(resource, owner, ttl) {
+    const result = await this.query(
+      "UPDATE locks SET expires_at = NOW(3) + INTERVAL ? MICROSECOND WHERE resource = ? AND owner = ? AND expires_at >= NOW(3)",
+      [ttl * 1000, resource, owner]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async releaseLock(resource, owner) {
+    await this.query("DELETE FROM locks WHERE resource = ? AND owner = ?", [resource, owner]);
+  }
+}
+
+module.exports = MySQLStorage;
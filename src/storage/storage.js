@@ -0,0 +1,401 @@
+"use strict";
+
+/**
+ * Interface every storage backend implements. Records are plain objects
+ * using the column names of the MySQL schema (e.g. `previous_hash`,
+ * `from_address`), so backends can be swapped without touching callers.
+ *
+ * Block rows:       hash, previous_hash, timestamp, nonce, difficulty,
+ *                   merkle_root, merkle_version, state_root, index,
+ *                   is_main_chain
+ * Transaction rows: hash, from_address, to_address, amount, timestamp,
+ *                   signature, block_hash, nonce, fee, public_key, multisig,
+ *                   position (order within the block)
+ */
+class Storage {
+  /**
+   * Prepares the backend for use, e.g. waits for the database server.
+   * Backends with nothing to prepare resolve immediately.
+   */
+  async connect() {}
+
+  /**
+   * Reports whether the backend can currently serve requests.
+   * @returns {Promise<{healthy: boolean, latencyMs?: number, error?: string}>}
+   */
+  async healthCheck() {
+    return { healthy: true, latencyMs: 0 };
+  }
+
+  /**
+   * Runs `work` atomically: everything it writes is kept, or nothing is if it
+   * throws. Nested calls join the outer transaction.
+   * @param {function(): Promise<*>} work - Operations to run
+   * @returns {Promise<*>} - What `work` resolved with
+   */
+  async transaction(work) {
+    throw new Error("transaction() is not implemented");
+  }
+
+  /**
+   * Inserts a block header.
+   * @param {Object} row - Block row
+   */
+  async insertBlock(row) {
+    throw new Error("insertBlock() is not implemented");
+  }
+
+  /**
+   * @param {string} hash - Block hash
+   * @returns {Promise<Object|null>} - Block row, or null if unknown
+   */
+  async getBlock(hash) {
+    throw new Error("getBlock() is not implemented");
+  }
+
+  /**
+   * @param {boolean} isMainChain - Main-chain blocks, or side-branch blocks
+   * @param {number} [fromIndex=0] - Lowest block index to include
+   * @returns {Promise<Object[]>} - Block rows ordered by index
+   */
+  async getBlocks(isMainChain, fromIndex = 0) {
+    throw new Error("getBlocks() is not implemented");
+  }
+
+  /**
+   * Reads a page of the main chain together with its transactions.
+   * @param {number} fromIndex - Index of the first block of the page
+   * @param {number} limit - Maximum number of blocks
+   * @returns {Promise<{blocks: Object[], transactions: Object[]}>} - Block rows
+   *   ordered by index, and their transaction rows ordered by block index and
+   *   position
+   */
+  async getMainChainPage(fromIndex, limit) {
+    throw new Error("getMainChainPage() is not implemented");
+  }
+
+  /**
+   * Marks a block as being on the main chain or on a side branch.
+   * @param {string} hash - Block hash
+   * @param {boolean} isMainChain - New status
+   */
+  async setBlockMainChain(hash, isMainChain) {
+    throw new Error("setBlockMainChain() is not implemented");
+  }
+
+  /**
+   * Inserts a transaction into the ledger, or into the side-branch store.
+   * @param {Object} row - Transaction row
+   * @param {boolean} [isMainChain=true] - Whether its block is on the main chain
+   */
+  async insertTransaction(row, isMainChain = true) {
+    throw new Error("insertTransaction() is not implemented");
+  }
+
+  /**
+   * Inserts several transactions, e.g. all those of one block. Backends that
+   * can write many rows per statement override this.
+   * @param {Object[]} rows - Transaction rows
+   * @param {boolean} [isMainChain=true] - Whether their block is on the main chain
+   */
+  async insertTransactions(rows, isMainChain = true) {
+    for (const row of rows) {
+      await this.insertTransaction(row, isMainChain);
+    }
+  }
+
+  /**
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<Object|null>} - Main-chain transaction row, or null
+   */
+  async getTransaction(hash) {
+    throw new Error("getTransaction() is not implemented");
+  }
+
+  /**
+   * @param {string} blockHash - Block hash
+   * @param {boolean} [isMainChain=true] - Whether the block is on the main chain
+   * @returns {Promise<Object[]>} - Transaction rows of the block, in block order
+   */
+  async getBlockTransactions(blockHash, isMainChain = true) {
+    throw new Error("getBlockTransactions() is not implemented");
+  }
+
+  /**
+   * Moves a block's transactions between the ledger and the side-branch store.
+   * @param {string} blockHash - Block hash
+   * @param {boolean} toMainChain - True to move them into the ledger
+   */
+  async moveBlockTransactions(blockHash, toMainChain) {
+    throw new Error("moveBlockTransactions() is not implemented");
+  }
+
+  /**
+   * Removes a block together with its transactions and Merkle data.
+   * @param {string} hash - Block hash
+   */
+  async deleteBlock(hash) {
+    throw new Error("deleteBlock() is not implemented");
+  }
+
+  /**
+   * Nonces recorded when transactions were pruned always count, whatever
+   * `beforeIndex` is, since the blocks they came from no longer hold them.
+   * @param {string} address - Sender address
+   * @param {number} [beforeIndex=Infinity] - Only count blocks below this index
+   * @returns {Promise<number|null>} - Highest nonce the address used on the main chain
+   */
+  async getLastNonce(address, beforeIndex = Infinity) {
+    throw new Error("getLastNonce() is not implemented");
+  }
+
+  /**
+   * @param {string[]} addresses - Addresses to look up
+   * @returns {Promise<Set<string>>} - Those that sent or received a main-chain transaction,
+   *   including pruned ones, which still have an account state row
+   */
+  async findAddressesWithTransactions(addresses) {
+    throw new Error("findAddressesWithTransactions() is not implemented");
+  }
+
+  /**
+   * @param {Object} row - Transaction row without block_hash, plus received_at
+   *   (when the pool accepted it, in milliseconds)
+   */
+  async insertPendingTransaction(row) {
+    throw new Error("insertPendingTransaction() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Pending transaction rows, oldest received first
+   */
+  async getPendingTransactions() {
+    throw new Error("getPendingTransactions() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<number>} - Number of pending transactions
+   */
+  async countPendingTransactions() {
+    throw new Error("countPendingTransactions() is not implemented");
+  }
+
+  /**
+   * @param {string[]} hashes - Pending transactions to remove
+   */
+  async deletePendingTransactions(hashes) {
+    throw new Error("deletePendingTransactions() is not implemented");
+  }
+
+  /**
+   * Adds deltas to the materialized balances.
+   * @param {Map<string, number>} changes - Balance delta by address
+   */
+  async applyBalanceChanges(changes) {
+    throw new Error("applyBalanceChanges() is not implemented");
+  }
+
+  /**
+   * @param {string} address - Account address
+   * @returns {Promise<number>} - Materialized balance, 0 for unknown addresses
+   */
+  async getBalance(address) {
+    throw new Error("getBalance() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<Map<string, number>>} - Every materialized balance
+   */
+  async getBalances() {
+    throw new Error("getBalances() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<Map<string, number>>} - Balances summed from the main-chain transactions
+   */
+  async getLedgerBalances() {
+    throw new Error("getLedgerBalances() is not implemented");
+  }
+
+  /**
+   * Replaces every materialized balance.
+   * @param {Map<string, number>} balances - Balance by address
+   */
+  async replaceBalances(balances) {
+    throw new Error("replaceBalances() is not implemented");
+  }
+
+  /**
+   * @param {string} blockHash - Block the tree belongs to
+   * @param {number} level - Depth of the node, 0 for the root
+   * @param {number} index - Position of the node within its level
+   * @param {string} value - Hash stored in the node
+   */
+  async insertMerkleNode(blockHash, level, index, value) {
+    throw new Error("insertMerkleNode() is not implemented");
+  }
+
+  /**
+   * Inserts several Merkle nodes of one block.
+   * @param {string} blockHash - Block the tree belongs to
+   * @param {Array<{level: number, index: number, value: string}>} nodes - Nodes to store
+   */
+  async insertMerkleNodes(blockHash, nodes) {
+    for (const { level, index, value } of nodes) {
+      await this.insertMerkleNode(blockHash, level, index, value);
+    }
+  }
+
+  /**
+   * @param {string} blockHash - Block containing the transaction
+   * @param {string} transactionHash - Transaction the proof is for
+   * @param {*} proof - Proof path, stored as JSON
+   */
+  async insertMerkleProof(blockHash, transactionHash, proof) {
+    throw new Error("insertMerkleProof() is not implemented");
+  }
+
+  /**
+   * Inserts the Merkle proofs of several transactions of one block.
+   * @param {string} blockHash - Block containing the transactions
+   * @param {Array<{transactionHash: string, proof: *}>} proofs - Proofs to store
+   */
+  async insertMerkleProofs(blockHash, proofs) {
+    for (const { transactionHash, proof } of proofs) {
+      await this.insertMerkleProof(blockHash, transactionHash, proof);
+    }
+  }
+
+  /**
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<{nodes: number, proofs: number}>} - Stored Merkle rows of the block
+   */
+  async countMerkleData(blockHash) {
+    throw new Error("countMerkleData() is not implemented");
+  }
+
+  /**
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<Array<{level: number, index: number, value: string}>>} - Stored
+   *   Merkle nodes of the block, ordered by level and index
+   */
+  async getMerkleNodes(blockHash) {
+    const { nodes } = await this.getMerkleData(blockHash);
+    return nodes;
+  }
+
+  /**
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<{nodes: Array<{level: number, index: number, value: string}>,
+   *   proofs: Array<{transactionHash: string, proof: *}>}>} - Stored Merkle data
+   *   of the block, nodes ordered by level and index
+   */
+  async getMerkleData(blockHash) {
+    throw new Error("getMerkleData() is not implemented");
+  }
+
+  /**
+   * Removes the Merkle nodes and proofs of a block.
+   * @param {string} blockHash - Block hash
+   */
+  async deleteMerkleData(blockHash) {
+    throw new Error("deleteMerkleData() is not implemented");
+  }
+
+  /**
+   * @param {string} transactionHash - Transaction hash
+   * @param {string|null} [blockHash=null] - Only the proof within this block; a
+   *   transaction moved by a reorganization has a proof in each of its blocks
+   * @returns {Promise<*|null>} - Stored proof path, or null
+   */
+  async getMerkleProof(transactionHash, blockHash = null) {
+    throw new Error("getMerkleProof() is not implemented");
+  }
+
+  /**
+   * Records a main-chain block that has been fully verified, replacing any
+   * earlier checkpoint at the same height.
+   * @param {{height: number, block_hash: string}} row - Checkpoint row
+   */
+  async saveCheckpoint(row) {
+    throw new Error("saveCheckpoint() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<Array<{height: number, block_hash: string}>>} - Checkpoints, highest first
+   */
+  async getCheckpoints() {
+    throw new Error("getCheckpoints() is not implemented");
+  }
+
+  /**
+   * Deletes the transactions and Merkle data of main-chain blocks below a
+   * height, keeping the block rows, and removes side-branch blocks below it.
+   * Each sender's highest pruned nonce is kept for getLastNonce.
+   * @param {number} belowIndex - First height whose data is kept
+   */
+  async pruneBlocks(belowIndex) {
+    throw new Error("pruneBlocks() is not implemented");
+  }
+
+  /**
+   * @returns {Promise<number>} - Height below which blocks were pruned, 0 if none were
+   */
+  async getPrunedHeight() {
+    throw new Error("getPrunedHeight() is not implemented");
+  }
+
+  /**
+   * Reads a node of the balance tree (see StateTree). Nodes are stored by
+   * hash and shared by every state root that contains them.
+   * @param {string} hash - Node hash
+   * @returns {Promise<Object|null>} - { hash, left_hash, right_hash, address,
+   *   balance }: children for inner nodes, address and balance for subtrees
+   *   holding a single account; null if unknown
+   */
+  async getStateNode(hash) {
+    throw new Error("getStateNode() is not implemented");
+  }
+
+  /**
+   * Stores balance tree nodes; nodes already stored are skipped.
+   * @param {Object[]} rows - Rows shaped like those of getStateNode
+   */
+  async insertStateNodes(rows) {
+    throw new Error("insertStateNodes() is not implemented");
+  }
+
+  /**
+   * Takes a lease on a resource for `ttl` milliseconds, unless another owner
+   * holds an unexpired lease on it. Expired leases are taken over.
+   * @param {string} resource - Name of the locked resource
+   * @param {string} owner - Identity of the process taking the lease
+   * @param {number} ttl - Lease duration in milliseconds
+   * @returns {Promise<boolean>} - Whether the lease was taken
+   */
+  async acquireLock(resource, owner, ttl) {
+    throw new Error("acquireLock() is not implemented");
+  }
+
+  /**
+   * Extends a lease the owner still holds to `ttl` milliseconds from now.
+   * @param {string} resource - Name of the locked resource
+   * @param {string} owner - Identity of the lease holder
+   * @param {number} ttl - New lease duration in milliseconds
+   * @returns {Promise<boolean>} - False if the lease expired and was taken over
+   */
+  async renewLock(resource, owner, ttl) {
+    throw new Error("renewLock() is not implemented");
+  }
+
+  /**
+   * Ends a lease; leases held by other owners are left alone.
+   * @param {string} resource - Name of the locked resource
+   * @param {string} owner - Identity of the lease holder
+   */
+  async releaseLock(resource, owner) {
+    throw new Error("releaseLock() is not implemented");
+  }
+}
+
+module.exports = Storage;
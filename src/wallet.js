@@ -2,50 +2,233 @@ const EC = require('elliptic').ec;
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const bs58check = require('bs58check').default;
+const { InvalidAddressError, InvalidPassphraseError } = require('./errors');
 
 const ec = new EC('secp256k1');
 const WALLET_DIR = path.join(__dirname, 'wallets');
+const ADDRESS_VERSION = 0x00; // Version byte prefixed to single-key addresses
+const MULTISIG_ADDRESS_VERSION = 0x05; // Version byte prefixed to M-of-N multisig addresses
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }; // Cost parameters for new keystores
 
 if (!fs.existsSync(WALLET_DIR)) {
   fs.mkdirSync(WALLET_DIR);
 }
 
-function createNewWallet() {
+// Derive the address of a public key: bs58check(version byte + RIPEMD-160(SHA-256(publicKey)))
+function publicKeyToAddress(publicKey) {
+  return encodeAddress(ADDRESS_VERSION, Buffer.from(publicKey, 'hex'));
+}
+
+// Derive the address controlled by `threshold` signatures out of `publicKeys`.
+// Keys are sorted, so the same set gives the same address in any order.
+function createMultisigAddress(publicKeys, threshold) {
+  const sortedKeys = [...publicKeys].sort();
+  if (new Set(sortedKeys).size !== sortedKeys.length) {
+    throw new Error('Multisig public keys must be unique.');
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > sortedKeys.length) {
+    throw new Error(`Multisig threshold must be between 1 and ${sortedKeys.length}.`);
+  }
+  const policy = Buffer.from(`${threshold}:${sortedKeys.join(',')}`, 'utf8');
+  return encodeAddress(MULTISIG_ADDRESS_VERSION, policy);
+}
+
+// bs58check(version byte + RIPEMD-160(SHA-256(data)))
+function encodeAddress(version, data) {
+  const sha256Hash = crypto.createHash('sha256').update(data).digest();
+  const ripemd160Hash = crypto.createHash('ripemd160').update(sha256Hash).digest();
+  return bs58check.encode(Buffer.concat([Buffer.from([version]), ripemd160Hash]));
+}
+
+// Check the checksum, length and version byte of an address
+function isValidAddress(address) {
+  if (typeof address !== 'string') {
+    return false;
+  }
+  try {
+    const payload = bs58check.decode(address);
+    return payload.length === 21 &&
+      (payload[0] === ADDRESS_VERSION || payload[0] === MULTISIG_ADDRESS_VERSION);
+  } catch (error) {
+    return false; // Bad base58 characters or checksum
+  }
+}
+
+// Derive the encryption and MAC keys (32 bytes each) from a passphrase with scrypt
+function deriveKeys(passphrase, salt, { N, r, p }) {
+  const derived = crypto.scryptSync(passphrase, salt, 64, { N, r, p, maxmem: 256 * N * r });
+  return { encryptionKey: derived.slice(0, 32), macKey: derived.slice(32) };
+}
+
+// Encrypt a private key into a keystore object (AES-256-CTR, HMAC-SHA256 over iv + ciphertext)
+function encryptKeystore({ publicKey, privateKey, address }, passphrase) {
+  if (!passphrase) {
+    throw new InvalidPassphraseError('A passphrase is required to encrypt a wallet.');
+  }
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const { encryptionKey, macKey } = deriveKeys(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-ctr', encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final()]);
+  const mac = crypto.createHmac('sha256', macKey).update(Buffer.concat([iv, ciphertext])).digest();
+
+  return {
+    version: KEYSTORE_VERSION,
+    address,
+    publicKey,
+    crypto: {
+      cipher: 'aes-256-ctr',
+      ciphertext: ciphertext.toString('hex'),
+      iv: iv.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+      mac: mac.toString('hex')
+    }
+  };
+}
+
+// Decrypt a keystore object, failing on a wrong passphrase before anything is decrypted
+function decryptKeystore(keystore, passphrase) {
+  if (!passphrase) {
+    throw new InvalidPassphraseError(`A passphrase is required to unlock wallet ${keystore.address}.`);
+  }
+  const { ciphertext, iv, kdfparams, mac } = keystore.crypto;
+  const ivBuffer = Buffer.from(iv, 'hex');
+  const ciphertextBuffer = Buffer.from(ciphertext, 'hex');
+  const { encryptionKey, macKey } = deriveKeys(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+
+  const expectedMac = crypto.createHmac('sha256', macKey).update(Buffer.concat([ivBuffer, ciphertextBuffer])).digest();
+  if (!crypto.timingSafeEqual(expectedMac, Buffer.from(mac, 'hex'))) {
+    throw new InvalidPassphraseError(`Wrong passphrase for wallet ${keystore.address}.`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-ctr', encryptionKey, ivBuffer);
+  const privateKey = Buffer.concat([decipher.update(ciphertextBuffer), decipher.final()]).toString('hex');
+  return { publicKey: keystore.publicKey, privateKey, address: keystore.address };
+}
+
+// Write a file so that a crash leaves either its old or its new contents:
+// the data goes to a temporary file, is flushed to disk, then renamed over it
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, 'w', 0o600);
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function writeKeystore(keystore) {
+  const walletPath = path.join(WALLET_DIR, `${keystore.address}.json`);
+  writeFileAtomic(walletPath, JSON.stringify(keystore, null, 2)); // Pretty-print JSON
+}
+
+function createNewWallet(passphrase) {
   const key = ec.genKeyPair();
   const publicKey = key.getPublic('hex');
   const privateKey = key.getPrivate('hex');
-  
-  // Hash the public key
-  const publicKeyBuffer = Buffer.from(publicKey, 'hex');
-  const hash = crypto.createHash('sha256').update(publicKeyBuffer).digest('hex');
-  
-  // Truncate the hash to create a shorter address
-  const shortAddress = hash.slice(0, 30); // Adjust length as needed
-
-  // Save the wallet to a file with the address included
+  const address = publicKeyToAddress(publicKey);
+
+  // Save the encrypted wallet to a file named after its address
   const walletData = {
     publicKey,
     privateKey,
-    address: shortAddress
+    address
   };
-  const walletPath = path.join(WALLET_DIR, `${shortAddress}.json`);
-  fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2)); // Pretty-print JSON
+  writeKeystore(encryptKeystore(walletData, passphrase));
+
+  console.log(`New wallet created with address: ${address}`);
+  return walletData;
+}
 
-  console.log(`New wallet created with address: ${shortAddress}`);
+// Store an existing key pair as an encrypted keystore (e.g. a key derived from a mnemonic)
+function importWallet({ publicKey, privateKey }, passphrase) {
+  const walletData = { publicKey, privateKey, address: publicKeyToAddress(publicKey) };
+  writeKeystore(encryptKeystore(walletData, passphrase));
   return walletData;
 }
 
-function loadWallet(address) {
+function readWalletFile(address) {
+  if (!isValidAddress(address)) {
+    throw new InvalidAddressError(`Invalid address: ${address}`);
+  }
   const walletPath = path.join(WALLET_DIR, `${address}.json`);
   if (!fs.existsSync(walletPath)) {
     throw new Error('Wallet not found.');
   }
+  return JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+}
+
+function loadWallet(address, passphrase) {
+  const walletData = readWalletFile(address);
+  if (walletData.crypto) {
+    return decryptKeystore(walletData, passphrase);
+  }
 
-  const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+  // Plaintext wallets predate the keystore format; see migratePlaintextWallets
+  console.warn(`Wallet ${address} is stored unencrypted. Run the wallet migration to encrypt it.`);
   return walletData;
 }
 
-module.exports = { createNewWallet, loadWallet, ec };
+// Encrypt every plaintext wallet in the wallet directory in place. Wallets
+// saved before bs58check addresses are named after their old 30-hex address;
+// they are stored under the address of their public key instead.
+// Returns the addresses of the wallets that were migrated.
+function migratePlaintextWallets(passphrase) {
+  const migrated = [];
+  for (const file of fs.readdirSync(WALLET_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const walletData = JSON.parse(fs.readFileSync(path.join(WALLET_DIR, file), 'utf8'));
+    if (walletData.crypto) continue; // Already encrypted
+
+    const address = publicKeyToAddress(walletData.publicKey);
+    const keystore = encryptKeystore({ ...walletData, address }, passphrase);
+    // Make sure the new file decrypts before the plaintext one is overwritten
+    decryptKeystore(keystore, passphrase);
+    writeKeystore(keystore);
+    if (file !== `${address}.json`) {
+      fs.unlinkSync(path.join(WALLET_DIR, file));
+      console.log(`Renamed legacy wallet ${walletData.address} to ${address}`);
+    }
+    migrated.push(address);
+    console.log(`Encrypted wallet ${address}`);
+  }
+  return migrated;
+}
+
+// Encrypt existing plaintext wallets:
+//   WALLET_PASSPHRASE=... node src/wallet.js migrate
+if (require.main === module && process.argv[2] === 'migrate') {
+  const passphrase = process.env.WALLET_PASSPHRASE;
+  if (!passphrase) {
+    console.error('Set WALLET_PASSPHRASE to the passphrase for the encrypted wallets.');
+    process.exit(1);
+  }
+  const migrated = migratePlaintextWallets(passphrase);
+  console.log(`Migrated ${migrated.length} wallet(s).`);
+}
+
+module.exports = {
+  createNewWallet,
+  loadWallet,
+  importWallet,
+  migratePlaintextWallets,
+  publicKeyToAddress,
+  createMultisigAddress,
+  isValidAddress,
+  ec
+};
 
 
 
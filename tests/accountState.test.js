@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { AccountState, Blockchain, Transaction } = require('../src/blockchain');
+const { HistoryPrunedError } = require('../src/errors');
+const { mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Account state', function () {
+  let storage;
+  let blockchain;
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    await mineBlock(blockchain, [], { miner: signingAddress });
+    const payment = new Transaction(signingAddress, blockchain.genesisAddress, 20, Date.now(), null, '', 0, 1);
+    payment.sign(signingKey);
+    await mineBlock(blockchain, [payment]);
+  });
+
+  it('should agree with the ledger after blocks are saved', async function () {
+    assert.deepStrictEqual(await AccountState.check(), []);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), blockchain.miningReward - 21);
+    assert.strictEqual(await AccountState.getBalance(blockchain.getMinerAddress()), blockchain.miningReward + 1);
+  });
+
+  it('should list every address whose balance drifted from the ledger', async function () {
+    await storage.applyBalanceChanges(new Map([[signingAddress, 5]]));
+    await storage.applyBalanceChanges(new Map([['1NeverPaid', 3]]));
+
+    assert.deepStrictEqual(await AccountState.check(), [
+      { address: signingAddress, stored: blockchain.miningReward - 16, expected: blockchain.miningReward - 21 },
+      { address: '1NeverPaid', stored: 3, expected: 0 },
+    ]);
+  });
+
+  it('should rebuild drifted and lost balances from the ledger', async function () {
+    const expected = await storage.getBalances();
+    await storage.replaceBalances(new Map([[signingAddress, 1], ['1NeverPaid', 3]]));
+
+    assert.strictEqual(await AccountState.rebuild(), expected.size);
+    assert.deepStrictEqual(await storage.getBalances(), expected);
+    assert.deepStrictEqual(await AccountState.check(), []);
+  });
+
+  it('should refuse to rebuild or check on a pruned node, leaving the table alone', async function () {
+    await storage.pruneBlocks(2);
+    await storage.applyBalanceChanges(new Map([[signingAddress, 5]]));
+    const balances = await storage.getBalances();
+
+    await assert.rejects(AccountState.rebuild(), (error) => {
+      assert.ok(error instanceof HistoryPrunedError);
+      assert.strictEqual(error.prunedHeight, 2);
+      assert.match(error.message, /below height 2 have been pruned/);
+      return true;
+    });
+    await assert.rejects(AccountState.check(), HistoryPrunedError);
+    assert.deepStrictEqual(await storage.getBalances(), balances);
+  });
+});
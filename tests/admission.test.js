@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Transaction } = require('../src/blockchain');
+const { buildBlock, mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Transaction admission', function () {
+  let blockchain;
+
+  // A signed transfer from the funded test address
+  function transfer({ amount = 10, fee = 0, nonce = 0, timestamp = Date.now() } = {}) {
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, amount, timestamp, null, '', nonce, fee);
+    tx.sign(signingKey);
+    return tx;
+  }
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+    await mineBlock(blockchain, [], { miner: signingAddress });
+  });
+
+  it('should reject transactions without a sender or a recipient', async function () {
+    const reason = 'Transaction must include from and to address';
+    const noRecipient = transfer();
+    noRecipient.toAddress = null;
+    noRecipient.hash = noRecipient.calculateHash();
+
+    assert.deepStrictEqual(await blockchain.addTransaction(noRecipient), { accepted: false, reason });
+    assert.deepStrictEqual(
+      await blockchain.addTransaction(new Transaction(null, blockchain.genesisAddress, 10)),
+      { accepted: false, reason }
+    );
+  });
+
+  it('should reject amounts that are not positive numbers', async function () {
+    for (const amount of [0, -5, NaN, Infinity, null]) {
+      assert.deepStrictEqual(await blockchain.addTransaction(transfer({ amount })), {
+        accepted: false,
+        reason: 'Transaction amount must be a number greater than 0'
+      }, String(amount));
+    }
+  });
+
+  it('should reject transactions whose signature does not match them', async function () {
+    const tx = transfer();
+    tx.signature = transfer({ amount: 11 }).signature;
+
+    assert.deepStrictEqual(await blockchain.addTransaction(tx), {
+      accepted: false,
+      reason: 'Invalid transaction signature'
+    });
+  });
+
+  it('should reject spends above the confirmed balance minus pending spends', async function () {
+    assert.strictEqual((await blockchain.addTransaction(transfer({ amount: 60, fee: 1 }))).accepted, true);
+
+    assert.deepStrictEqual(await blockchain.addTransaction(transfer({ amount: 40, nonce: 1 })), {
+      accepted: false,
+      reason: `Insufficient balance: available ${blockchain.miningReward - 61}, required 40`
+    });
+    assert.strictEqual((await blockchain.addTransaction(transfer({ amount: 39, nonce: 1 }))).accepted, true);
+  });
+
+  it('should reject transactions that are already pending or already in the chain', async function () {
+    const pending = transfer();
+    assert.strictEqual((await blockchain.addTransaction(pending)).accepted, true);
+    assert.deepStrictEqual(await blockchain.addTransaction(pending), {
+      accepted: false,
+      reason: 'Transaction is already pending'
+    });
+
+    assert.strictEqual((await blockchain.addBlock(await buildBlock(blockchain, [pending]))).accepted, true);
+    assert.deepStrictEqual(blockchain.pendingTransactions, []);
+    assert.deepStrictEqual(await blockchain.addTransaction(pending), {
+      accepted: false,
+      reason: 'Transaction is already in the chain'
+    });
+  });
+
+  it('should only admit numeric amounts and fees and integer timestamps', async function () {
+    const cases = [
+      [{ amount: '10' }, 'Transaction amount must be a number greater than 0'],
+      [{ fee: '0' }, 'Transaction fee must be a non-negative number'],
+      [{ timestamp: String(Date.now()) }, 'Transaction timestamp must be an integer'],
+      [{ timestamp: Date.now() + 0.5 }, 'Transaction timestamp must be an integer']
+    ];
+    for (const [fields, reason] of cases) {
+      assert.deepStrictEqual(await blockchain.addTransaction(transfer(fields)), { accepted: false, reason });
+    }
+    assert.deepStrictEqual(blockchain.pendingTransactions, []);
+  });
+
+  it('should reject blocks holding transactions with fields storage would read back differently', async function () {
+    for (const fields of [{ amount: '10' }, { fee: '0' }, { timestamp: String(Date.now()) }]) {
+      const block = await buildBlock(blockchain, [transfer(fields)]);
+      assert.deepStrictEqual(await blockchain.addBlock(block), {
+        accepted: false,
+        reason: 'Block contains invalid transactions'
+      });
+    }
+    assert.strictEqual((await blockchain.addBlock(await buildBlock(blockchain, [transfer()]))).accepted, true);
+  });
+});
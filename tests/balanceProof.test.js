@@ -0,0 +1,149 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { AccountState, Blockchain, Block, Transaction, HEADER_FIELDS } = require('../src/blockchain');
+const { StateTree } = require('../src/stateTree');
+const { getBalanceProof, verifyBalanceProof } = require('../src/balanceProof');
+const { buildBlock, mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Balance proofs', function () {
+  let blockchain;
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    await mineBlock(blockchain, [], { miner: signingAddress });
+    const payment = new Transaction(signingAddress, blockchain.genesisAddress, 20);
+    payment.sign(signingKey);
+    await mineBlock(blockchain, [payment]);
+  });
+
+  it('should commit every block header to the balances after the block', async function () {
+    for (const block of blockchain.chain) {
+      assert.ok(block.stateRoot, `block ${block.index} has no state root`);
+      assert.strictEqual(block.hash, Block.hashHeader(block.getHeader()));
+      assert.deepStrictEqual(Object.keys(block.getHeader()).sort(), [...HEADER_FIELDS].sort());
+    }
+    const [, funded, paid] = blockchain.chain;
+    assert.strictEqual(await StateTree.getBalance(funded.stateRoot, signingAddress), blockchain.miningReward);
+    assert.strictEqual(await StateTree.getBalance(paid.stateRoot, signingAddress), blockchain.miningReward - 20);
+    assert.strictEqual(
+      await StateTree.getBalance(paid.stateRoot, blockchain.genesisAddress),
+      await AccountState.getBalance(blockchain.genesisAddress)
+    );
+  });
+
+  it('should prove a balance at a given height', async function () {
+    const bundle = JSON.parse(JSON.stringify(await getBalanceProof(signingAddress, 1)));
+
+    assert.strictEqual(bundle.balance, blockchain.miningReward);
+    assert.strictEqual(bundle.block.hash, blockchain.chain[1].hash);
+    assert.deepStrictEqual(verifyBalanceProof(bundle, { blockHash: blockchain.chain[1].hash }), {
+      valid: true,
+    });
+    assert.strictEqual((await getBalanceProof(signingAddress, 2)).balance, blockchain.miningReward - 20);
+    assert.strictEqual(await getBalanceProof(signingAddress, 9), null);
+  });
+
+  it('should prove that an address has no balance', async function () {
+    const bundle = await getBalanceProof(signingAddress, 0);
+    assert.strictEqual(bundle.balance, 0);
+    assert.deepStrictEqual(verifyBalanceProof(bundle, { blockHash: blockchain.chain[0].hash }), {
+      valid: true
+    });
+
+    const stranger = await getBalanceProof('1NoSuchAddressWasEverPaid', 2);
+    assert.strictEqual(stranger.balance, 0);
+    assert.deepStrictEqual(verifyBalanceProof(stranger, { blockHash: blockchain.chain[2].hash }), {
+      valid: true
+    });
+  });
+
+  it('should reject bundles that were tampered with', async function () {
+    const bundle = await getBalanceProof(signingAddress, 2);
+    const tamper = (change) => {
+      const copy = JSON.parse(JSON.stringify(bundle));
+      change(copy);
+      return verifyBalanceProof(copy, { blockHash: bundle.block.hash }).reason;
+    };
+
+    assert.strictEqual(
+      tamper((copy) => (copy.balance = 5000)),
+      "Proof does not lead to the block's state root"
+    );
+    assert.strictEqual(
+      tamper((copy) => (copy.address = blockchain.genesisAddress)),
+      "Proof does not lead to the block's state root"
+    );
+    assert.strictEqual(
+      tamper((copy) => (copy.block.stateRoot = 'a'.repeat(64))),
+      'Block header does not match its hash'
+    );
+    assert.strictEqual(tamper((copy) => delete copy.block.stateRoot), 'Block header lacks stateRoot');
+    for (const field of ['index', 'difficulty', 'merkleVersion']) {
+      assert.strictEqual(
+        tamper((copy) => (copy.block[field] += 1)),
+        'Block header does not match its hash',
+        field
+      );
+    }
+    assert.match(
+      verifyBalanceProof(bundle, { blockHash: blockchain.chain[1].hash }).reason,
+      /is not the expected/
+    );
+    assert.strictEqual(verifyBalanceProof(null, { blockHash: bundle.block.hash }).valid, false);
+  });
+
+  it('should not vouch for a bundle without a trusted block hash', async function () {
+    // Whoever sends the bundle can make up a block whose state root holds any balance
+    const stateRoot = await StateTree.fromBalances(new Map([[signingAddress, 1000000]]));
+    const madeUp = new Block(9, 'f'.repeat(64), Date.now(), [new Transaction(null, signingAddress, 1)], 0);
+    madeUp.stateRoot = stateRoot;
+    madeUp.mineBlock(0);
+    const { balance, proof } = await StateTree.getProof(stateRoot, signingAddress);
+    const bundle = { address: signingAddress, balance, block: madeUp.getHeader(), proof };
+
+    assert.deepStrictEqual(verifyBalanceProof(bundle), {
+      valid: false,
+      reason: 'A trusted block hash is needed to tie the bundle to the chain'
+    });
+    assert.deepStrictEqual(verifyBalanceProof(bundle, { blockHash: madeUp.hash }), { valid: true });
+    assert.match(
+      verifyBalanceProof(bundle, { blockHash: blockchain.getLatestBlock().hash }).reason,
+      /is not the expected/
+    );
+  });
+
+  it('should reject blocks whose state root does not match their balances', async function () {
+    const block = await buildBlock(blockchain, [], { miner: signingAddress, stateRoot: false });
+    block.stateRoot = blockchain.getLatestBlock().stateRoot;
+    block.mineBlock(block.difficulty);
+
+    assert.deepStrictEqual(await blockchain.addBlock(block), {
+      accepted: false,
+      reason: 'Invalid state root',
+    });
+    block.stateRoot = await blockchain.computeStateRoot(block);
+    block.mineBlock(block.difficulty);
+    assert.strictEqual((await blockchain.addBlock(block)).accepted, true);
+  });
+
+  it('should keep the hashes of blocks stored before state roots', async function () {
+    const legacy = new Block(1, '0'.repeat(64), Date.now(), [new Transaction(null, signingAddress, 1)], 0);
+    legacy.mineBlock(0);
+    const { state_root: _, ...row } = legacy.toRow();
+
+    const loaded = Block.fromRow(row, legacy.transactions);
+    const originalLayout = crypto
+      .createHash('sha256')
+      .update(
+        legacy.previousHash + legacy.timestamp + legacy.merkleRoot + legacy.nonce + legacy.serializeTransactions()
+      )
+      .digest('hex');
+    assert.strictEqual(loaded.stateRoot, null);
+    assert.strictEqual(loaded.calculateHash(), originalLayout);
+    assert.strictEqual(loaded.hash, originalLayout);
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Transaction } = require('../src/blockchain');
+const { buildBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Block rules', function () {
+  let blockchain;
+
+  // A block on the tip holding exactly the given transactions, mined with its
+  // state root. Blocks no state can follow claim their parent's root instead.
+  async function nextBlock(transactions) {
+    const block = await buildBlock(blockchain, transactions, { miner: null, stateRoot: false });
+    block.stateRoot = await blockchain
+      .computeStateRoot(block)
+      .catch(() => blockchain.getLatestBlock().stateRoot);
+    block.mineBlock(block.difficulty);
+    return block;
+  }
+
+  function reward(amount, timestamp = Date.now()) {
+    return new Transaction(null, blockchain.getMinerAddress(), amount, timestamp);
+  }
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    const funding = new Transaction(null, signingAddress, blockchain.miningReward);
+    assert.strictEqual((await blockchain.addBlock(await nextBlock([funding]))).accepted, true);
+  });
+
+  it('should only accept a coinbase of the mining reward plus the fees', async function () {
+    const payment = new Transaction(signingAddress, blockchain.genesisAddress, 10, Date.now(), null, '', 0, 2);
+    payment.sign(signingKey);
+    const rejected = { accepted: false, reason: 'Invalid coinbase' };
+
+    const inflated = await nextBlock([payment, reward(blockchain.miningReward + 3)]);
+    assert.deepStrictEqual(await blockchain.addBlock(inflated), rejected);
+
+    const doubled = await nextBlock([
+      payment,
+      reward(blockchain.miningReward + 2),
+      reward(blockchain.miningReward + 2, Date.now() + 1),
+    ]);
+    assert.deepStrictEqual(await blockchain.addBlock(doubled), rejected);
+    assert.throws(() => doubled.validate(undefined, blockchain.miningReward), /Invalid coinbase/);
+
+    const exact = await nextBlock([payment, reward(blockchain.miningReward + 2)]);
+    assert.strictEqual((await blockchain.addBlock(exact)).accepted, true);
+  });
+
+  it('should accept blocks whose miner gives up the reward', async function () {
+    const payment = new Transaction(signingAddress, blockchain.genesisAddress, 10, Date.now(), null, '', 0, 2);
+    payment.sign(signingKey);
+    assert.strictEqual((await blockchain.addBlock(await nextBlock([payment]))).accepted, true);
+  });
+
+  it('should refuse to load a stored block with an inflated coinbase', async function () {
+    const inflated = await nextBlock([reward(blockchain.miningReward * 10)]);
+    await blockchain.appendBlock(inflated);
+
+    await assert.rejects(Blockchain.load(), /Invalid coinbase for block 2/);
+  });
+
+  it('should reject blocks without transactions instead of failing to save them', async function () {
+    assert.deepStrictEqual(await blockchain.addBlock(await nextBlock([])), {
+      accepted: false,
+      reason: 'Block has no transactions'
+    });
+    assert.strictEqual(blockchain.getHeight(), 2);
+  });
+
+  it('should reject blocks that spend more than a sender holds', async function () {
+    const spend = (amount, nonce) => {
+      const tx = new Transaction(signingAddress, blockchain.genesisAddress, amount, Date.now(), null, '', nonce);
+      tx.sign(signingKey);
+      return tx;
+    };
+
+    const overdraft = await nextBlock([spend(blockchain.miningReward + 1, 0)]);
+    assert.deepStrictEqual(await blockchain.addBlock(overdraft), {
+      accepted: false,
+      reason: `Block overdraws ${signingAddress}`,
+    });
+
+    // Each payment fits the balance on its own, but not both together
+    const twice = await nextBlock([spend(60, 0), spend(60, 1)]);
+    assert.strictEqual((await blockchain.addBlock(twice)).accepted, false);
+
+    const spendable = await nextBlock([spend(60, 0), spend(40, 1)]);
+    assert.strictEqual((await blockchain.addBlock(spendable)).accepted, true);
+  });
+
+  it('should let a sender spend what it received earlier in the same block', async function () {
+    const spend = new Transaction(signingAddress, blockchain.genesisAddress, blockchain.miningReward + 50);
+    spend.sign(signingKey);
+    const income = new Transaction(null, signingAddress, blockchain.miningReward);
+
+    assert.strictEqual((await blockchain.addBlock(await nextBlock([spend, income]))).accepted, false);
+    assert.strictEqual((await blockchain.addBlock(await nextBlock([income, spend]))).accepted, true);
+  });
+});
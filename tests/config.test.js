@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+
+describe('Configuration', function () {
+  let configFile;
+
+  beforeEach(function () {
+    configFile = path.join(os.tmpdir(), `aibtccoin-config-${process.pid}.json`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(configFile)) fs.unlinkSync(configFile);
+  });
+
+  it('should use defaults when nothing is configured', function () {
+    const config = loadConfig({ CONFIG_FILE: '' });
+    assert.strictEqual(config.db.host, 'localhost');
+    assert.strictEqual(config.db.port, 3306);
+    assert.strictEqual(config.storage.backend, 'mysql');
+  });
+
+  it('should let environment variables override the config file', function () {
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ db: { host: 'db.internal', connectionLimit: 4 }, storage: { backend: 'memory' } })
+    );
+
+    const config = loadConfig({ CONFIG_FILE: configFile, DB_HOST: 'override', DB_PORT: '3307' });
+    assert.strictEqual(config.db.host, 'override');
+    assert.strictEqual(config.db.port, 3307);
+    assert.strictEqual(config.db.connectionLimit, 4);
+    assert.strictEqual(config.storage.backend, 'memory');
+  });
+
+  it('should reject non-numeric values for numeric settings', function () {
+    assert.throws(() => loadConfig({ DB_CONNECTION_LIMIT: 'lots' }), /db\.connectionLimit/);
+  });
+
+  it('should default to an archival node and accept a pruned one', function () {
+    assert.strictEqual(loadConfig({ CONFIG_FILE: '' }).chain.mode, 'archival');
+
+    const config = loadConfig({ CHAIN_MODE: 'pruned', CHAIN_PRUNE_DEPTH: '50' });
+    assert.strictEqual(config.chain.mode, 'pruned');
+    assert.strictEqual(config.chain.pruneDepth, 50);
+  });
+
+  it('should reject unknown node modes and prune depths below one', function () {
+    assert.throws(() => loadConfig({ CHAIN_MODE: 'light' }), /chain\.mode/);
+    assert.throws(() => loadConfig({ CHAIN_PRUNE_DEPTH: '0' }), /chain\.pruneDepth/);
+  });
+
+  it('should read boolean settings from the environment', function () {
+    assert.strictEqual(loadConfig({}).chain.cacheMerkleProofs, true);
+    assert.strictEqual(loadConfig({ CHAIN_CACHE_MERKLE_PROOFS: 'false' }).chain.cacheMerkleProofs, false);
+    assert.throws(() => loadConfig({ CHAIN_CACHE_MERKLE_PROOFS: 'maybe' }), /chain\.cacheMerkleProofs/);
+  });
+
+  it('should fail when an explicitly named config file is missing', function () {
+    assert.throws(() => loadConfig({ CONFIG_FILE: configFile }), /Config file not found/);
+  });
+});
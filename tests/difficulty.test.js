@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { buildBlock } = require('./helpers');
+const { Blockchain } = require('../src/blockchain');
+
+describe('Difficulty retargeting', function () {
+  let blockchain;
+
+  // Headers for heights 0..count-1, `spacing` milliseconds apart
+  function headers(count, spacing, difficulty) {
+    return Array.from({ length: count }, (_, index) => ({
+      index,
+      timestamp: 1000000 + index * spacing,
+      difficulty,
+    }));
+  }
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+  });
+
+  it('should keep the previous difficulty between retarget heights', function () {
+    const blocks = headers(9, 1, 3);
+    for (let height = 1; height < blockchain.retargetInterval; height++) {
+      assert.strictEqual(blockchain.getDifficultyForHeight(height, blocks), 3);
+    }
+    assert.strictEqual(blockchain.getDifficultyForHeight(0, blocks), blockchain.initialDifficulty);
+  });
+
+  it('should adjust at the retarget interval by how far block times missed the target', function () {
+    const interval = blockchain.retargetInterval;
+    const target = blockchain.targetBlockTime;
+
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, headers(interval, target, 2)), 2);
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, headers(interval, target / 16, 2)), 3);
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, headers(interval, target * 16, 2)), 1);
+
+    // Only the last window counts: blocks 10..19 decide the difficulty of block 20
+    const blocks = headers(2 * interval, target, 2);
+    blocks.slice(interval).forEach((block, i) => {
+      block.timestamp = blocks[interval - 1].timestamp + (i + 1) * (target / 16);
+    });
+    assert.strictEqual(blockchain.getDifficultyForHeight(2 * interval, blocks), 3);
+  });
+
+  it('should clamp adjustments to the maximum step and never go below zero', function () {
+    const interval = blockchain.retargetInterval;
+    const target = blockchain.targetBlockTime;
+    const fast = headers(interval, target / 4096, 2); // 16^3 times too fast
+    const slow = headers(interval, target * 4096, 2);
+
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, fast), 3);
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, slow), 1);
+    blockchain.maxDifficultyAdjustment = 2;
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, fast), 4);
+    assert.strictEqual(blockchain.getDifficultyForHeight(interval, headers(interval, target * 4096, 1)), 0);
+  });
+
+  it('should reject peer blocks that do not carry the scheduled difficulty', async function () {
+    const nextBlock = (difficulty) => buildBlock(blockchain, [], { difficulty });
+
+    // Blocks mined back to back are far faster than the target, so the difficulty rises
+    while (blockchain.getHeight() < blockchain.retargetInterval) {
+      const block = await nextBlock(blockchain.getDifficultyForHeight(blockchain.getHeight()));
+      assert.strictEqual((await blockchain.addBlock(block)).accepted, true);
+    }
+    const expected = blockchain.initialDifficulty + 1;
+    assert.strictEqual(blockchain.getDifficultyForHeight(blockchain.getHeight()), expected);
+
+    assert.deepStrictEqual(await blockchain.addBlock(await nextBlock(expected - 1)), {
+      accepted: false,
+      reason: `Invalid difficulty ${expected - 1}, expected ${expected}`,
+    });
+    assert.deepStrictEqual(await blockchain.addBlock(await nextBlock(expected + 1)), {
+      accepted: false,
+      reason: `Invalid difficulty ${expected + 1}, expected ${expected}`,
+    });
+    assert.strictEqual((await blockchain.addBlock(await nextBlock(expected))).accepted, true);
+  });
+});
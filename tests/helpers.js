@@ -1,21 +1,62 @@
-const { Transaction, Blockchain } = require('../src/blockchain');
+const { Transaction, Block, Blockchain } = require('../src/blockchain');
+const { publicKeyToAddress } = require('../src/wallet');
 const EC = require('elliptic').ec;
 
 const ec = new EC('secp256k1');
 
 const keyPair = ec.genKeyPair();
 const publicKey = keyPair.getPublic('hex');
+const address = publicKeyToAddress(publicKey);
+const recipientAddress = publicKeyToAddress(ec.genKeyPair().getPublic('hex'));
 
-function createSignedTx(amount = 10, toAddress = 'b2') {
+function createSignedTx(amount = 10, toAddress = recipientAddress) {
   if (amount <= 0) throw new Error('Amount must be positive');
 
-  const tx = new Transaction(publicKey, toAddress, amount);
+  const tx = new Transaction(address, toAddress, amount);
   tx.timestamp = Date.now();
   tx.sign(keyPair);
 
   return tx;
 }
 
+// Build a mined block on `parent` (the tip by default) holding `transactions`
+// followed by a coinbase that pays `miner` the mining reward plus their fees;
+// pass `miner: null` to leave the coinbase out. With `stateRoot: false` the
+// block has no state root, e.g. to set a different one before mining again.
+async function buildBlock(blockchain, transactions = [], {
+  parent = blockchain.getLatestBlock(),
+  miner = blockchain.getMinerAddress(),
+  stateRoot = true,
+  timestamp = Date.now(),
+  difficulty
+} = {}) {
+  const index = Number(parent.index) + 1;
+  const fees = transactions.reduce((total, tx) => total + Number(tx.fee), 0);
+  // Offset the coinbase timestamp so coinbases built in the same millisecond differ
+  const coinbase = miner === null
+    ? []
+    : [new Transaction(null, miner, blockchain.miningReward + fees, timestamp + index)];
+  const block = new Block(
+    index,
+    parent.hash,
+    timestamp,
+    [...transactions, ...coinbase],
+    difficulty === undefined
+      ? blockchain.getDifficultyForHeight(index, blockchain.getBranch(parent.hash))
+      : difficulty
+  );
+  if (stateRoot) block.stateRoot = await blockchain.computeStateRoot(block);
+  block.mineBlock(block.difficulty);
+  return block;
+}
+
+// Build a block on the tip with buildBlock and append it to the main chain
+// the way this node's miner would
+async function mineBlock(blockchain, transactions = [], options = {}) {
+  const block = await buildBlock(blockchain, transactions, options);
+  await blockchain.appendBlock(block);
+  return block;
+}
 
 async function createBlockchainWithTx() {
   const blockchain = new Blockchain();
@@ -33,9 +74,12 @@ async function createBCWithMined() {
 
 module.exports = {
   createSignedTx,
+  buildBlock,
+  mineBlock,
   createBlockchainWithTx,
   createBCWithMined,
-  signingKey: keyPair
+  signingKey: keyPair,
+  signingAddress: address
 };
 
 
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { MerkleTree } = require('../src/merkleTree');
+const { getInclusionProof, verifyInclusionProof } = require('../src/inclusionProof');
+const { mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Inclusion proofs', function () {
+  let blockchain;
+  let block;
+  let payment;
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    await mineBlock(blockchain, [], { miner: signingAddress });
+
+    // Several payments, so that the proof has more than one level
+    const payments = Array.from({ length: 4 }, (_, nonce) => {
+      const tx = new Transaction(signingAddress, blockchain.genesisAddress, 20, Date.now(), null, '', nonce);
+      tx.sign(signingKey);
+      return tx;
+    });
+    payment = payments[1];
+    block = await mineBlock(blockchain, payments);
+  });
+
+  it('should bundle the transaction, its block header and its proof', async function () {
+    const bundle = await getInclusionProof(payment.hash);
+
+    assert.strictEqual(bundle.transaction.hash, payment.hash);
+    assert.strictEqual(bundle.transaction.fromAddress, signingAddress);
+    assert.deepStrictEqual(bundle.block, {
+      index: 2,
+      hash: block.hash,
+      previousHash: block.previousHash,
+      merkleRoot: block.merkleRoot,
+      merkleVersion: block.merkleVersion,
+      stateRoot: block.stateRoot,
+      transactionsDigest: block.calculateTransactionsDigest(),
+      timestamp: block.timestamp,
+      nonce: block.nonce,
+      difficulty: block.difficulty,
+    });
+    assert.strictEqual(bundle.proof.length, 3);
+  });
+
+  it('should return null for transactions that are not on the main chain', async function () {
+    assert.strictEqual(await getInclusionProof('f'.repeat(64)), null);
+  });
+
+  it('should verify a bundle after a round trip through JSON', async function () {
+    const bundle = JSON.parse(JSON.stringify(await getInclusionProof(payment.hash)));
+
+    assert.deepStrictEqual(verifyInclusionProof(bundle, { blockHash: block.hash }), { valid: true });
+  });
+
+  it('should reject bundles that were tampered with', async function () {
+    const bundle = await getInclusionProof(payment.hash);
+    const tamper = (change) => {
+      const copy = JSON.parse(JSON.stringify(bundle));
+      change(copy);
+      return verifyInclusionProof(copy, { blockHash: block.hash }).reason;
+    };
+
+    assert.strictEqual(
+      tamper((copy) => (copy.transaction.amount = 2000)),
+      'Transaction does not match its hash'
+    );
+    assert.strictEqual(
+      tamper((copy) => (copy.block.merkleRoot = 'a'.repeat(64))),
+      "Proof does not lead to the block's Merkle root"
+    );
+    assert.strictEqual(
+      tamper((copy) => copy.proof.reverse()),
+      "Proof does not lead to the block's Merkle root"
+    );
+    assert.strictEqual(
+      tamper((copy) => (copy.block.merkleVersion = 1)),
+      "Proof does not lead to the block's Merkle root"
+    );
+    assert.strictEqual(
+      tamper((copy) => (copy.block.timestamp += 1)),
+      'Block header does not match its hash'
+    );
+    assert.strictEqual(tamper((copy) => delete copy.block.merkleRoot), 'Block header lacks merkleRoot');
+    assert.match(
+      verifyInclusionProof(bundle, { blockHash: blockchain.chain[1].hash }).reason,
+      /is not the expected/
+    );
+    assert.strictEqual(verifyInclusionProof(null, { blockHash: block.hash }).valid, false);
+  });
+
+  it('should reject a transaction forged into a Merkle root of its own', async function () {
+    const bundle = await getInclusionProof(payment.hash);
+    const forged = new Transaction(signingAddress, signingAddress, 1000000);
+    forged.sign(signingKey);
+    const tree = new MerkleTree([forged.hash, payment.hash]);
+
+    const copy = JSON.parse(JSON.stringify(bundle));
+    copy.transaction = { ...copy.transaction, ...JSON.parse(JSON.stringify(forged)) };
+    copy.block.merkleRoot = tree.getRootHash();
+    copy.proof = tree.getProof(forged.hash);
+
+    assert.deepStrictEqual(verifyInclusionProof(copy, { blockHash: block.hash }), {
+      valid: false,
+      reason: 'Block header does not match its hash',
+    });
+  });
+
+  it('should reject transactions that are not validly signed', async function () {
+    const bundle = await getInclusionProof(payment.hash);
+    const copy = JSON.parse(JSON.stringify(bundle));
+    copy.transaction.signature = null;
+
+    assert.deepStrictEqual(verifyInclusionProof(copy, { blockHash: block.hash }), {
+      valid: false,
+      reason: 'Transaction is not validly signed',
+    });
+  });
+
+  it('should not vouch for a bundle without a trusted block hash', async function () {
+    // Whoever sends the bundle can make up a block of its own around a payment it signed
+    const forged = new Transaction(signingAddress, blockchain.genesisAddress, 1000);
+    forged.sign(signingKey);
+    const madeUp = new Block(9, 'f'.repeat(64), Date.now(), [forged], 0);
+    madeUp.stateRoot = 'e'.repeat(64);
+    madeUp.mineBlock(0);
+    const bundle = {
+      transaction: JSON.parse(JSON.stringify(forged)),
+      block: madeUp.getHeader(),
+      proof: new MerkleTree([forged.hash]).getProof(forged.hash)
+    };
+
+    assert.deepStrictEqual(verifyInclusionProof(bundle), {
+      valid: false,
+      reason: 'A trusted block hash is needed to tie the bundle to the chain'
+    });
+    assert.deepStrictEqual(verifyInclusionProof(bundle, { blockHash: madeUp.hash }), { valid: true });
+    assert.match(verifyInclusionProof(bundle, { blockHash: block.hash }).reason, /is not the expected/);
+  });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { config } = require('../src/config');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { buildBlock, mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Blockchain loading', function () {
+  const savedChainConfig = { ...config.chain };
+  let storage;
+  let blockchain;
+
+  // Mine a block on the tip, spaced at the target block time so the difficulty stays put
+  function mineSpaced(transactions = [], options = {}) {
+    const timestamp = blockchain.chain[0].timestamp + blockchain.getHeight() * blockchain.targetBlockTime;
+    return mineBlock(blockchain, transactions, { timestamp, ...options });
+  }
+
+  beforeEach(async function () {
+    Object.assign(config.chain, {
+      headerWindow: 15,
+      loadPageSize: 4,
+      checkpointInterval: 10,
+      checkpointConfirmations: 5,
+    });
+    storage = new MemoryStorage();
+    setStorage(storage);
+    blockchain = new Blockchain();
+    await blockchain.ready;
+  });
+
+  afterEach(function () {
+    Object.assign(config.chain, savedChainConfig);
+  });
+
+  it('should create the genesis block only when storage is empty', async function () {
+    setStorage(new MemoryStorage());
+    const fresh = await Blockchain.load();
+    assert.strictEqual(fresh.chain.length, 1);
+
+    setStorage(storage);
+    const loaded = await Blockchain.load();
+    assert.deepStrictEqual(loaded.chain.map((block) => block.hash), [blockchain.chain[0].hash]);
+  });
+
+  it('should keep only the most recent headers in memory', async function () {
+    for (let i = 0; i < 40; i++) await mineSpaced();
+
+    assert.strictEqual(blockchain.chain.length, 15);
+    assert.strictEqual(blockchain.chain[0].index, 26);
+    assert.strictEqual(blockchain.getHeight(), 41);
+    assert.deepStrictEqual(blockchain.checkpoint, {
+      height: 30,
+      hash: (await storage.getBlocks(true, 30))[0].hash,
+    });
+  });
+
+  it('should resume from the checkpoint and verify only newer blocks', async function () {
+    const [tx] = (await mineSpaced([], { miner: signingAddress })).transactions;
+    for (let i = 0; i < 39; i++) await mineSpaced();
+
+    // Blocks below the checkpoint are trusted, so damage there goes unnoticed...
+    const early = storage.state.transactions.get(tx.hash);
+    early.signature = 'not-a-signature';
+    early.from_address = signingAddress;
+    const loaded = await Blockchain.load();
+    assert.strictEqual(loaded.getLatestBlock().hash, blockchain.getLatestBlock().hash);
+    assert.strictEqual(loaded.chain.length, 15);
+    assert.strictEqual(loaded.checkpoint.height, 30);
+
+    // ...while blocks after it are verified in full
+    const late = storage.state.transactions.get(blockchain.getLatestBlock().transactions[0].hash);
+    late.amount = 1000;
+    await assert.rejects(Blockchain.load(), /Invalid .* block 40/);
+  });
+
+  it('should reject blocks at or below the checkpoint', async function () {
+    for (let i = 0; i < 40; i++) await mineSpaced();
+    const transfer = new Transaction(signingAddress, blockchain.genesisAddress, 1);
+    transfer.sign(signingKey);
+
+    const parent = blockchain.chain.find((block) => block.index === 29);
+    const fork = new Block(30, parent.hash, Date.now(), [transfer], parent.difficulty);
+    fork.mineBlock(fork.difficulty);
+
+    const result = await blockchain.addBlock(fork);
+    assert.deepStrictEqual(result, {
+      accepted: false,
+      reason: 'Block conflicts with the latest checkpoint',
+    });
+  });
+
+  it('should check difficulties on a chain trimmed inside a retarget window', async function () {
+    Object.assign(blockchain, { headerWindow: 11, checkpointInterval: 1000 });
+    for (let i = 0; i < 16; i++) await mineBlock(blockchain);
+    assert.strictEqual(blockchain.chain[0].index, 6);
+    assert.strictEqual(blockchain.isChainValid(), true);
+
+    // A branch forking at height 7 retargets at height 10, whose window starts at block 0
+    let parent = blockchain.chain[1];
+    for (let index = 8; index < 10; index++) {
+      parent = await buildBlock(blockchain, [], { parent, miner: 'side-miner' });
+      assert.strictEqual((await blockchain.addBlock(parent)).accepted, true);
+    }
+    const difficulty = await blockchain.loadDifficultyForHeight(10, blockchain.getBranch(parent.hash));
+    const wrong = await buildBlock(blockchain, [], { parent, miner: 'side-miner', difficulty: difficulty + 1 });
+    assert.deepStrictEqual(await blockchain.addBlock(wrong), {
+      accepted: false,
+      reason: `Invalid difficulty ${difficulty + 1}, expected ${difficulty}`
+    });
+    const retargeted = await buildBlock(blockchain, [], { parent, miner: 'side-miner', difficulty });
+    assert.deepStrictEqual(await blockchain.addBlock(retargeted), { accepted: true, reorganized: false });
+  });
+
+  it('should refuse side blocks that would reorganize below the checkpoint', async function () {
+    Object.assign(blockchain, { checkpointInterval: 5, checkpointConfirmations: 2 });
+    for (let i = 0; i < 6; i++) await mineBlock(blockchain);
+
+    // A branch forking at height 3, stored before height 5 was checkpointed
+    let side = blockchain.chain[3];
+    for (let i = 0; i < 3; i++) {
+      side = await buildBlock(blockchain, [], { parent: side, miner: 'side-miner' });
+      assert.deepStrictEqual(await blockchain.addBlock(side), { accepted: true, reorganized: false });
+    }
+    await mineBlock(blockchain);
+    assert.strictEqual(blockchain.checkpoint.height, 5);
+
+    const beyond = await buildBlock(blockchain, [], { parent: side, miner: 'side-miner' });
+    assert.deepStrictEqual(await blockchain.addBlock(beyond), {
+      accepted: false,
+      reason: 'Block conflicts with the latest checkpoint'
+    });
+    assert.strictEqual(blockchain.getHeight(), 8);
+  });
+});
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { acquireLock, renewLock, releaseLock, processOwner } = require('../src/lock');
+const { AccountState, Blockchain, Block, Transaction } = require('../src/blockchain');
+const { signingKey, signingAddress } = require('./helpers');
+
+describe('Locks', function () {
+  beforeEach(function () {
+    setStorage(new MemoryStorage());
+  });
+
+  it('should let only one owner hold a lock at a time', async function () {
+    assert.strictEqual(await acquireLock('miningLock'), true);
+    assert.strictEqual(await acquireLock('miningLock'), false);
+    assert.strictEqual(await acquireLock('miningLock', { owner: 'other-node' }), false);
+
+    await releaseLock('miningLock');
+    assert.strictEqual(await acquireLock('miningLock', { owner: 'other-node' }), true);
+  });
+
+  it('should ignore releases by anyone but the owner', async function () {
+    await acquireLock('miningLock', { owner: 'other-node' });
+    await releaseLock('miningLock');
+    assert.strictEqual(await acquireLock('miningLock'), false);
+  });
+
+  it('should recover a lock whose owner stopped renewing it', async function () {
+    assert.strictEqual(await acquireLock('miningLock', { owner: 'crashed-node', ttl: 10 }), true);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.strictEqual(await acquireLock('miningLock'), true);
+    assert.strictEqual(await renewLock('miningLock', { owner: 'crashed-node' }), false);
+    assert.strictEqual(await renewLock('miningLock'), true);
+  });
+
+  it('should identify this process as the default owner', function () {
+    assert.ok(processOwner.includes(`:${process.pid}:`));
+  });
+});
+
+describe('MySQLStorage locks', function () {
+  const MySQLStorage = require('../src/storage/mysqlStorage');
+
+  it('should clear expired leases before inserting its own', async function () {
+    const storage = new MySQLStorage();
+    const statements = [];
+    storage.query = async (sql, values) => {
+      statements.push({ sql, values });
+      return { affectedRows: sql.startsWith('INSERT') ? 0 : 1 };
+    };
+
+    assert.strictEqual(await storage.acquireLock('miningLock', 'node-a', 5000), false);
+    assert.ok(statements[0].sql.startsWith('DELETE FROM locks'));
+    assert.match(statements[0].sql, /expires_at < NOW\(3\)/);
+    assert.ok(statements[1].sql.startsWith('INSERT IGNORE INTO locks'));
+    assert.deepStrictEqual(statements[1].values, ['miningLock', 'node-a', 5000000]);
+  });
+});
+
+describe('Miners sharing storage', function () {
+  let storage;
+  let first;
+
+  function payment(blockchain, nonce) {
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, 1, Date.now(), null, '', nonce);
+    tx.sign(signingKey);
+    return tx;
+  }
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    first = new Blockchain();
+    await first.ready;
+    first.transactionThreshold = 1;
+
+    const funding = new Block(
+      1,
+      first.getLatestBlock().hash,
+      Date.now(),
+      [new Transaction(null, signingAddress, first.miningReward)],
+      first.getDifficultyForHeight(1)
+    );
+    funding.stateRoot = await first.computeStateRoot(funding);
+    funding.mineBlock(funding.difficulty);
+    await first.appendBlock(funding);
+  });
+
+  it('should build on the blocks the other miner saved', async function () {
+    const early = payment(first, 0);
+    await first.addTransaction(early);
+    const second = await Blockchain.load();
+    second.transactionThreshold = 1;
+    assert.deepStrictEqual(second.pendingTransactions.map((tx) => tx.hash), [early.hash]);
+
+    await first.minePendingTransactions('miner-a');
+    const late = payment(second, 1);
+    assert.strictEqual((await second.addTransaction(late)).accepted, true);
+    await second.minePendingTransactions('miner-b');
+
+    const rows = await storage.getBlocks(true);
+    assert.deepStrictEqual(rows.map((row) => Number(row.index)), [0, 1, 2, 3]);
+    for (let i = 1; i < rows.length; i++) {
+      assert.strictEqual(rows[i].previous_hash, rows[i - 1].hash);
+    }
+    assert.strictEqual(second.getLatestBlock().hash, rows[3].hash);
+    assert.deepStrictEqual(second.pendingTransactions, []);
+    assert.deepStrictEqual(
+      (await storage.getBlockTransactions(rows[3].hash)).map((row) => row.hash).slice(0, 1),
+      [late.hash]
+    );
+    assert.deepStrictEqual(await AccountState.check(), []);
+  });
+
+  it('should not save a block once another miner took the lock over', async function () {
+    const tx = payment(first, 0);
+    await first.addTransaction(tx);
+    const computeStateRoot = first.computeStateRoot.bind(first);
+    first.computeStateRoot = async (block) => {
+      // The lease runs out while the block is mined and another node takes it
+      storage.locks.set('miningLock', { owner: 'other-node', expiresAt: Date.now() + 60000 });
+      return computeStateRoot(block);
+    };
+
+    await first.minePendingTransactions('miner-a');
+
+    assert.strictEqual(first.getHeight(), 2);
+    assert.strictEqual((await storage.getBlocks(true)).length, 2);
+    assert.deepStrictEqual(first.pendingTransactions, [tx]);
+    assert.strictEqual(storage.locks.get('miningLock').owner, 'other-node');
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { publicKeyToAddress } = require('../src/wallet');
+const { signingKey, signingAddress } = require('./helpers');
+const EC = require('elliptic').ec;
+
+const ec = new EC('secp256k1');
+
+describe('Pending pool', function () {
+  let storage;
+  let blockchain;
+
+  // A signed transfer from the funded test address
+  function transfer(nonce, fee = 0) {
+    const tx = new Transaction(
+      signingAddress,
+      blockchain.genesisAddress,
+      1,
+      Date.now(),
+      null,
+      '',
+      nonce,
+      fee
+    );
+    tx.sign(signingKey);
+    return tx;
+  }
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    const funding = new Block(
+      1,
+      blockchain.getLatestBlock().hash,
+      Date.now(),
+      [new Transaction(null, signingAddress, blockchain.miningReward)],
+      blockchain.getDifficultyForHeight(1)
+    );
+    funding.mineBlock(funding.difficulty);
+    await blockchain.appendBlock(funding);
+  });
+
+  it('should reload pending transactions after a restart', async function () {
+    const first = transfer(0, 1);
+    const second = transfer(1, 2);
+    await blockchain.addTransaction(first);
+    await blockchain.addTransaction(second);
+
+    const loaded = await Blockchain.load();
+    assert.deepStrictEqual(
+      loaded.pendingTransactions.map((tx) => tx.hash),
+      [first.hash, second.hash]
+    );
+    assert.strictEqual(await loaded.getNextNonce(signingAddress), 2);
+  });
+
+  it('should remove only the transactions a block includes', async function () {
+    const mined = transfer(0);
+    const waiting = transfer(1);
+    await blockchain.addTransaction(mined);
+    await blockchain.addTransaction(waiting);
+
+    const block = new Block(
+      2,
+      blockchain.getLatestBlock().hash,
+      Date.now(),
+      [mined],
+      blockchain.getDifficultyForHeight(2)
+    );
+    block.stateRoot = await blockchain.computeStateRoot(block);
+    block.mineBlock(block.difficulty);
+    assert.strictEqual((await blockchain.addBlock(block)).accepted, true);
+
+    assert.deepStrictEqual(blockchain.pendingTransactions.map((tx) => tx.hash), [waiting.hash]);
+    assert.deepStrictEqual(
+      (await storage.getPendingTransactions()).map((row) => row.hash),
+      [waiting.hash]
+    );
+  });
+
+  it('should expire transactions older than the maximum age', async function () {
+    const tx = transfer(0);
+    await blockchain.addTransaction(tx);
+
+    assert.deepStrictEqual(await blockchain.expirePendingTransactions(), []);
+    const expired = await blockchain.expirePendingTransactions(
+      Date.now() + blockchain.mempoolMaxAge + 1
+    );
+    assert.deepStrictEqual(expired.map((expiredTx) => expiredTx.hash), [tx.hash]);
+    assert.deepStrictEqual(blockchain.pendingTransactions, []);
+    assert.strictEqual(await storage.countPendingTransactions(), 0);
+  });
+
+  it('should drop expired and confirmed transactions when reloading', async function () {
+    const old = transfer(0, 1);
+    await blockchain.addTransaction(old);
+    storage.state.pendingTransactions.get(old.hash).received_at -= blockchain.mempoolMaxAge + 1;
+    await blockchain.addTransaction(transfer(1, 1));
+    await blockchain.addTransaction(transfer(2, 1));
+
+    // Another node confirms a different transaction with nonce 1
+    const block = new Block(
+      2,
+      blockchain.getLatestBlock().hash,
+      Date.now(),
+      [transfer(1, 2)],
+      blockchain.getDifficultyForHeight(2)
+    );
+    block.mineBlock(block.difficulty);
+    await block.save();
+
+    const loaded = await Blockchain.load();
+    assert.deepStrictEqual(
+      loaded.pendingTransactions.map((tx) => tx.nonce),
+      [2]
+    );
+    assert.strictEqual(await storage.countPendingTransactions(), 1);
+  });
+
+  it('should evict the lowest fee when full and refuse transactions that do not outbid it', async function () {
+    blockchain.mempoolMaxSize = 2;
+    const cheap = transfer(0, 1);
+    const rich = transfer(1, 5);
+    await blockchain.addTransaction(cheap);
+    await blockchain.addTransaction(rich);
+
+    const lowball = await blockchain.addTransaction(transfer(2, 1));
+    assert.deepStrictEqual(lowball, {
+      accepted: false,
+      reason: 'Pending pool is full; fee must exceed 1',
+    });
+
+    const outbid = transfer(2, 3);
+    assert.strictEqual((await blockchain.addTransaction(outbid)).accepted, true);
+    assert.deepStrictEqual(
+      blockchain.pendingTransactions.map((tx) => tx.hash),
+      [rich.hash, outbid.hash]
+    );
+    assert.deepStrictEqual(
+      (await storage.getPendingTransactions()).map((row) => row.hash),
+      [rich.hash, outbid.hash]
+    );
+  });
+
+  it('should select the highest fees first while keeping each sender in nonce order', function () {
+    const otherKey = ec.genKeyPair();
+    const other = new Transaction(
+      publicKeyToAddress(otherKey.getPublic('hex')),
+      signingAddress,
+      1,
+      Date.now(),
+      null,
+      '',
+      0,
+      5
+    );
+    other.sign(otherKey);
+    const first = transfer(0, 1);
+    const second = transfer(1, 10);
+    blockchain.pendingTransactions = [second, first, other];
+
+    assert.deepStrictEqual(blockchain.selectTransactionsForBlock(2), [other, first]);
+    assert.deepStrictEqual(blockchain.selectTransactionsForBlock(3), [other, first, second]);
+  });
+
+  it('should keep the selected transactions pending when the mined block cannot be saved', async function () {
+    const first = transfer(0, 1);
+    const second = transfer(1, 2);
+    await blockchain.addTransaction(first);
+    await blockchain.addTransaction(second);
+    storage.insertMerkleProof = async () => {
+      throw new Error('disk full');
+    };
+
+    await blockchain.minePendingTransactions(blockchain.getMinerAddress());
+
+    assert.strictEqual(blockchain.getHeight(), 2);
+    assert.deepStrictEqual(blockchain.pendingTransactions, [first, second]);
+    assert.strictEqual(await storage.countPendingTransactions(), 2);
+  });
+});
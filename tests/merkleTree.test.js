@@ -0,0 +1,268 @@
+const assert = require('assert');
+const { Node, MerkleTree, MerkleProofPath, MERKLE_VERSION } = require('../src/merkleTree');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { config } = require('../src/config');
+const { InvalidMerkleDataError } = require('../src/errors');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+
+// Distinct values standing in for transaction hashes
+function values(count) {
+  return Array.from({ length: count }, (_, i) => `tx-${i}`);
+}
+
+describe('Merkle proofs', function () {
+  const LEAF_COUNTS = [...Array.from({ length: 33 }, (_, i) => i + 1), 63, 64, 65, 100, 257];
+
+  it('should verify a proof for every leaf, whatever the number of leaves', function () {
+    for (const count of LEAF_COUNTS) {
+      const tree = new MerkleTree(values(count));
+      for (const value of values(count)) {
+        assert.ok(
+          MerkleTree.verifyProof(value, tree.getProof(value), tree.getRootHash()),
+          `proof for ${value} in a tree of ${count} leaves did not verify`
+        );
+      }
+    }
+  });
+
+  it('should give every proof one sibling per level', function () {
+    for (const count of LEAF_COUNTS) {
+      const depth = Math.max(1, Math.ceil(Math.log2(count)));
+      const tree = new MerkleTree(values(count));
+      assert.strictEqual(tree.getProof('tx-0').length, depth, `tree of ${count} leaves`);
+    }
+  });
+
+  it('should use the duplicated node as the sibling of an odd last node', function () {
+    const tree = new MerkleTree(values(3));
+    const [sibling] = tree.getProof('tx-2');
+    assert.deepStrictEqual(sibling, { hash: Node.hashLeaf('tx-2'), position: 'right' });
+  });
+
+  it('should reject altered proofs', function () {
+    for (const count of [2, 5, 8, 13]) {
+      const tree = new MerkleTree(values(count));
+      const root = tree.getRootHash();
+      const proof = tree.getProof('tx-1');
+
+      const flipped = proof.map((sibling, i) =>
+        i === 0 ? { ...sibling, position: sibling.position === 'left' ? 'right' : 'left' } : sibling
+      );
+      const tampered = proof.map((sibling, i) =>
+        i === proof.length - 1 ? { ...sibling, hash: 'f'.repeat(64) } : sibling
+      );
+      assert.strictEqual(MerkleTree.verifyProof('tx-1', flipped, root), false);
+      assert.strictEqual(MerkleTree.verifyProof('tx-1', tampered, root), false);
+      assert.strictEqual(MerkleTree.verifyProof('tx-1', proof.slice(1), root), false);
+      assert.strictEqual(MerkleTree.verifyProof('tx-2', proof, root), false);
+      assert.strictEqual(MerkleTree.verifyProof('tx-1', proof, 'f'.repeat(64)), false);
+      assert.strictEqual(MerkleTree.verifyProof('tx-1', [{ hash: proof[0].hash }], root), false);
+    }
+  });
+
+  it('should refuse proofs for values that are not in the tree', function () {
+    const tree = new MerkleTree(values(4));
+    assert.throws(() => tree.getProof('tx-9'), /Leaf not found/);
+  });
+
+  it("should verify transactions against their block's Merkle root", function () {
+    const timestamp = Date.now();
+    const transactions = Array.from(
+      { length: 7 },
+      (_, i) => new Transaction(null, `miner-${i}`, 10 + i, timestamp + i)
+    );
+    const block = new Block(1, '0'.repeat(64), timestamp, transactions, 0);
+    const tree = new MerkleTree(transactions.map((tx) => tx.hash));
+
+    for (const tx of transactions) {
+      assert.ok(MerkleTree.verifyProof(tx.hash, tree.getProof(tx.hash), block.merkleRoot));
+    }
+  });
+
+  it('should store proofs that verify against the block', async function () {
+    const storage = new MemoryStorage();
+    setStorage(storage);
+    const timestamp = Date.now();
+    const transactions = Array.from(
+      { length: 5 },
+      (_, i) => new Transaction(null, `miner-${i}`, 10 + i, timestamp + i)
+    );
+    const block = new Block(1, '0'.repeat(64), timestamp, transactions, 0);
+    await block.saveMerkleData();
+
+    for (const tx of transactions) {
+      const proof = await storage.getMerkleProof(tx.hash);
+      assert.ok(MerkleTree.verifyProof(tx.hash, proof, block.merkleRoot));
+    }
+  });
+});
+
+describe('Stored Merkle trees', function () {
+  const savedChainConfig = { ...config.chain };
+  let storage;
+  let block;
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    const timestamp = Date.now();
+    const transactions = Array.from(
+      { length: 5 },
+      (_, i) => new Transaction(null, `miner-${i}`, 10 + i, timestamp + i)
+    );
+    block = new Block(1, '0'.repeat(64), timestamp, transactions, 0);
+  });
+
+  afterEach(function () {
+    Object.assign(config.chain, savedChainConfig);
+  });
+
+  it('should rebuild the tree of a block from its stored nodes', async function () {
+    await block.save();
+
+    const tree = await MerkleTree.loadFromDatabase(block.hash);
+    assert.strictEqual(tree.getRootHash(), block.merkleRoot);
+    for (const tx of block.transactions) {
+      assert.ok(MerkleTree.verifyProof(tx.hash, tree.getProof(tx.hash), block.merkleRoot));
+    }
+    assert.strictEqual(await MerkleTree.loadFromDatabase('f'.repeat(64)), null);
+  });
+
+  it('should report missing and tampered nodes by level and index', async function () {
+    await block.save();
+    const nodes = storage.state.merkleNodes;
+    nodes.splice(nodes.findIndex((node) => node.node_level === 2 && node.node_index === 1), 1);
+    nodes.find((node) => node.node_level === 3 && node.node_index === 4).node_value = 'f'.repeat(64);
+
+    await assert.rejects(MerkleTree.loadFromDatabase(block.hash), (error) => {
+      assert.ok(error instanceof InvalidMerkleDataError);
+      assert.deepStrictEqual(error.issues, [
+        { level: 2, index: 1, problem: 'missing' },
+        { level: 3, index: 4, problem: 'tampered' },
+      ]);
+      return true;
+    });
+  });
+
+  it("should report transactions that no longer reproduce the block's root", async function () {
+    await block.save();
+    const [first] = await storage.getBlockTransactions(block.hash);
+    storage.state.transactions.get(first.hash).hash = 'e'.repeat(64);
+
+    await assert.rejects(MerkleTree.loadFromDatabase(block.hash), (error) => {
+      assert.deepStrictEqual(error.issues[0], {
+        level: 0,
+        index: 0,
+        problem: 'values do not reproduce the root',
+      });
+      return true;
+    });
+  });
+
+  it('should generate proofs from the nodes when the proof cache is off', async function () {
+    config.chain.cacheMerkleProofs = false;
+    await block.save();
+    assert.strictEqual((await storage.countMerkleData(block.hash)).proofs, 0);
+
+    for (const tx of block.transactions) {
+      const proof = await MerkleProofPath.getProofPath(tx.hash);
+      assert.ok(MerkleTree.verifyProof(tx.hash, proof, block.merkleRoot));
+    }
+    assert.strictEqual(await MerkleProofPath.getProofPath('f'.repeat(64)), null);
+  });
+});
+
+describe('Merkle versions', function () {
+  it('should build and prove trees far larger than a recursion limit allows', function () {
+    const count = 100001;
+    const tree = new MerkleTree(values(count));
+    const root = tree.getRootHash();
+
+    for (const value of ['tx-0', 'tx-50000', `tx-${count - 1}`]) {
+      const proof = tree.getProof(value);
+      assert.strictEqual(proof.length, 17);
+      assert.ok(MerkleTree.verifyProof(value, proof, root));
+    }
+  });
+
+  it('should keep leaves from passing for inner nodes', function () {
+    const leaves = values(4).map((value) => Node.hashLeaf(value, 1));
+    const innerAsLeaves = [leaves[0] + leaves[1], leaves[2] + leaves[3]];
+
+    // Version 1 cannot tell the two trees apart; version 2 hashes them differently
+    assert.strictEqual(
+      new MerkleTree(innerAsLeaves, 1).getRootHash(),
+      new MerkleTree(values(4), 1).getRootHash()
+    );
+    assert.notStrictEqual(
+      new MerkleTree(innerAsLeaves).getRootHash(),
+      new MerkleTree(values(4)).getRootHash()
+    );
+    assert.strictEqual(
+      new MerkleTree(values(2)).getRootHash(),
+      Node.hashChildren(Node.hashLeaf('tx-0'), Node.hashLeaf('tx-1'))
+    );
+  });
+
+  it('should refuse duplicate values from version 2 on', function () {
+    const padded = ['tx-0', 'tx-1', 'tx-2', 'tx-2'];
+    assert.strictEqual(
+      new MerkleTree(padded, 1).getRootHash(),
+      new MerkleTree(values(3), 1).getRootHash()
+    );
+    assert.throws(() => new MerkleTree(padded), /Duplicate value in the Merkle Tree: tx-2/);
+    assert.throws(() => new MerkleTree(values(2), MERKLE_VERSION + 1), /Unsupported Merkle Tree version/);
+  });
+
+  it('should keep the Merkle version a block was stored with', function () {
+    const timestamp = Date.now();
+    const transactions = Array.from(
+      { length: 3 },
+      (_, i) => new Transaction(null, `miner-${i}`, 10 + i, timestamp + i)
+    );
+    const hashes = transactions.map((tx) => tx.hash);
+    assert.strictEqual(new Block(1, '0'.repeat(64), timestamp, transactions, 0).merkleVersion, MERKLE_VERSION);
+
+    // Rows written before versions existed carry none
+    const legacy = new Block(1, '0'.repeat(64), timestamp, transactions, 0, 1);
+    const { merkle_version: _, ...row } = legacy.toRow();
+    const loaded = Block.fromRow(row, transactions);
+    assert.strictEqual(loaded.merkleVersion, 1);
+    assert.strictEqual(loaded.merkleRoot, new MerkleTree(hashes, 1).getRootHash());
+    assert.notStrictEqual(loaded.merkleRoot, new MerkleTree(hashes).getRootHash());
+    loaded.validate();
+  });
+
+  it('should reject new blocks with duplicate transactions or an old Merkle version', async function () {
+    setStorage(new MemoryStorage());
+    const blockchain = new Blockchain();
+    await blockchain.ready;
+    const reward = new Transaction(null, blockchain.getMinerAddress(), blockchain.miningReward);
+    const mine = async (block) => {
+      block.stateRoot = await blockchain.computeStateRoot(block);
+      block.mineBlock(block.difficulty);
+      return block;
+    };
+    const next = (merkleVersion) =>
+      new Block(
+        1,
+        blockchain.getLatestBlock().hash,
+        Date.now(),
+        [reward],
+        blockchain.getDifficultyForHeight(1),
+        merkleVersion
+      );
+
+    const duplicated = next();
+    duplicated.transactions.push(reward);
+    assert.deepStrictEqual(await blockchain.addBlock(await mine(duplicated)), {
+      accepted: false,
+      reason: 'Block contains duplicate transactions',
+    });
+    assert.deepStrictEqual(await blockchain.addBlock(await mine(next(1))), {
+      accepted: false,
+      reason: 'Unsupported Merkle version 1',
+    });
+    assert.strictEqual((await blockchain.addBlock(await mine(next()))).accepted, true);
+  });
+});
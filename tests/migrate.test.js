@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { loadMigrations, migrateUp, rollback, status } = require('../src/migrate');
+
+// Stands in for src/db.js: records statements and keeps schema_migrations in memory
+function createFakeDb() {
+  const versions = new Map();
+  const statements = [];
+  return {
+    statements,
+    async query(sql, values = []) {
+      if (sql.startsWith('SELECT version FROM schema_migrations')) {
+        return [...versions.keys()].sort((a, b) => a - b).map((version) => ({ version }));
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        versions.set(values[0], values[1]);
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        versions.delete(values[0]);
+      } else if (!sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        statements.push(sql);
+      }
+      return [];
+    },
+  };
+}
+
+describe('Schema migrations', function () {
+  it('should load the bundled migrations in version order', function () {
+    const migrations = loadMigrations();
+    const versions = migrations.map((migration) => migration.version);
+    assert.deepStrictEqual(versions, [...versions].sort((a, b) => a - b));
+    assert.ok(migrations.length > 0);
+    for (const migration of migrations) {
+      assert.ok(migration.up.length > 0, `${migration.name} has no up statements`);
+      assert.ok(migration.down.length > 0, `${migration.name} has no down statements`);
+    }
+  });
+
+  it('should create every table the storage layer uses', function () {
+    const ddl = loadMigrations().flatMap((migration) => migration.up).join('\n');
+    for (const table of [
+      'blocks',
+      'transactions',
+      'branch_transactions',
+      'pending_transactions',
+      'account_state',
+      'merkle_nodes',
+      'merkle_proof_paths',
+      'checkpoints',
+      'node_state',
+      'pruned_nonces',
+      'locks',
+      'state_nodes',
+    ]) {
+      assert.ok(ddl.includes(`CREATE TABLE ${table} (`), `missing table ${table}`);
+    }
+  });
+
+  it('should apply pending migrations once and report their status', async function () {
+    const db = createFakeDb();
+    const migrations = loadMigrations();
+
+    const applied = await migrateUp(db, migrations);
+    assert.strictEqual(applied.length, migrations.length);
+    assert.deepStrictEqual(await migrateUp(db, migrations), []);
+    assert.ok((await status(db, migrations)).every((migration) => migration.applied));
+  });
+
+  it('should roll back the latest migrations in reverse order', async function () {
+    const db = createFakeDb();
+    const migrations = loadMigrations();
+    await migrateUp(db, migrations);
+
+    const reverted = await rollback(db, 2, migrations);
+    assert.deepStrictEqual(
+      reverted.map((migration) => migration.version),
+      migrations.slice(-2).reverse().map((migration) => migration.version)
+    );
+
+    const pending = (await status(db, migrations)).filter((migration) => !migration.applied);
+    assert.strictEqual(pending.length, 2);
+  });
+});
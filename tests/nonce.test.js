@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Transaction } = require('../src/blockchain');
+const { buildBlock, mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Sender nonces', function () {
+  let blockchain;
+
+  // A signed transfer from the funded test address
+  function transfer(nonce, amount = 1) {
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, amount, Date.now(), null, '', nonce);
+    tx.sign(signingKey);
+    return tx;
+  }
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+    await mineBlock(blockchain, [], { miner: signingAddress });
+  });
+
+  it('should count confirmed and pending transactions in the next nonce', async function () {
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 0);
+
+    await mineBlock(blockchain, [transfer(0), transfer(1)]);
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 2);
+
+    assert.strictEqual((await blockchain.addTransaction(transfer(2))).accepted, true);
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 3);
+    assert.strictEqual((await blockchain.addTransaction(transfer(5))).accepted, true);
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 6);
+    assert.strictEqual(await blockchain.getNextNonce(blockchain.genesisAddress), 0);
+  });
+
+  it('should reject transactions reusing a confirmed or pending nonce', async function () {
+    await mineBlock(blockchain, [transfer(0), transfer(1)]);
+    for (const nonce of [1, 0]) {
+      assert.deepStrictEqual(await blockchain.addTransaction(transfer(nonce, 2)), {
+        accepted: false,
+        reason: `Nonce ${nonce} already used, next nonce is 2`
+      });
+    }
+
+    assert.strictEqual((await blockchain.addTransaction(transfer(2))).accepted, true);
+    assert.deepStrictEqual(await blockchain.addTransaction(transfer(2, 2)), {
+      accepted: false,
+      reason: 'Nonce 2 already used, next nonce is 3'
+    });
+    assert.strictEqual(blockchain.pendingTransactions.length, 1);
+  });
+
+  it('should reject blocks that reuse a sender nonce or put nonces out of order', async function () {
+    const rejected = { accepted: false, reason: 'Block reuses a sender nonce' };
+    assert.strictEqual((await blockchain.addBlock(await buildBlock(blockchain, [transfer(0)]))).accepted, true);
+
+    assert.deepStrictEqual(await blockchain.addBlock(await buildBlock(blockchain, [transfer(0, 2)])), rejected);
+    assert.deepStrictEqual(
+      await blockchain.addBlock(await buildBlock(blockchain, [transfer(1), transfer(1, 2)])),
+      rejected
+    );
+    assert.deepStrictEqual(
+      await blockchain.addBlock(await buildBlock(blockchain, [transfer(2), transfer(1)])),
+      rejected
+    );
+    assert.strictEqual(
+      (await blockchain.addBlock(await buildBlock(blockchain, [transfer(1), transfer(3)]))).accepted,
+      true
+    );
+  });
+});
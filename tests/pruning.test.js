@@ -0,0 +1,122 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { config } = require('../src/config');
+const { Blockchain, Block, Transaction, AccountState } = require('../src/blockchain');
+const { exportChain } = require('../src/snapshot');
+const { HistoryPrunedError } = require('../src/errors');
+const { mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Pruned and archival nodes', function () {
+  const savedChainConfig = { ...config.chain };
+  let storage;
+  let blockchain;
+
+  // Mine a block on the tip, spaced at the target block time so the difficulty stays put
+  function mineSpaced(transactions = [], options = {}) {
+    const timestamp = blockchain.chain[0].timestamp + blockchain.getHeight() * blockchain.targetBlockTime;
+    return mineBlock(blockchain, transactions, { timestamp, ...options });
+  }
+
+  // Build a 41-block chain whose second and third blocks fund and spend signingAddress
+  async function buildChain(mode) {
+    config.chain.mode = mode;
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    const funded = await mineSpaced([], { miner: signingAddress });
+    const transfer = new Transaction(signingAddress, blockchain.genesisAddress, 1);
+    transfer.sign(signingKey);
+    const spent = await mineSpaced([transfer]);
+    for (let i = 0; i < 38; i++) await mineSpaced();
+    return { funded, spent, transfer };
+  }
+
+  beforeEach(function () {
+    Object.assign(config.chain, {
+      headerWindow: 15,
+      loadPageSize: 4,
+      checkpointInterval: 10,
+      checkpointConfirmations: 5,
+      pruneDepth: 8,
+    });
+    storage = new MemoryStorage();
+    setStorage(storage);
+  });
+
+  afterEach(function () {
+    Object.assign(config.chain, savedChainConfig);
+  });
+
+  it('should keep every transaction in archival mode', async function () {
+    const { spent, transfer } = await buildChain('archival');
+
+    assert.strictEqual(blockchain.prunedHeight, 0);
+    assert.strictEqual((await storage.getBlockTransactions(spent.hash)).length, 2);
+    assert.strictEqual((await Transaction.load(transfer.hash)).hash, transfer.hash);
+    assert.deepStrictEqual(await AccountState.check(), []);
+    assert.deepStrictEqual(blockchain.getNodeInfo(), {
+      mode: 'archival',
+      height: 41,
+      pruneDepth: null,
+      prunedHeight: 0,
+    });
+  });
+
+  it('should prune transactions and Merkle data below the checkpoint', async function () {
+    const { spent } = await buildChain('pruned');
+    const balances = await storage.getBalances();
+
+    // The checkpoint at 30 caps pruning, although the depth would allow height 33
+    assert.deepStrictEqual(blockchain.getNodeInfo(), {
+      mode: 'pruned',
+      height: 41,
+      pruneDepth: 8,
+      prunedHeight: 31,
+    });
+    assert.ok(await storage.getBlock(spent.hash), 'block header was removed');
+    assert.deepStrictEqual(await storage.getBlockTransactions(spent.hash), []);
+    assert.deepStrictEqual(await storage.countMerkleData(spent.hash), { nodes: 0, proofs: 0 });
+
+    const kept = blockchain.chain.find((block) => block.index === 31);
+    assert.strictEqual((await storage.getBlockTransactions(kept.hash)).length, 1);
+    assert.deepStrictEqual(await storage.getBalances(), balances);
+  });
+
+  it('should refuse history requests it can no longer answer', async function () {
+    const { spent, transfer } = await buildChain('pruned');
+
+    await assert.rejects(Block.load(spent.hash), HistoryPrunedError);
+    await assert.rejects(Transaction.load(transfer.hash), (error) => {
+      assert.ok(error instanceof HistoryPrunedError);
+      assert.strictEqual(error.prunedHeight, 31);
+      return true;
+    });
+    await assert.rejects(AccountState.check(), HistoryPrunedError);
+    await assert.rejects(AccountState.rebuild(), HistoryPrunedError);
+    await assert.rejects(exportChain('unused.ndjson'), HistoryPrunedError);
+
+    const kept = blockchain.getLatestBlock();
+    assert.strictEqual((await Block.load(kept.hash)).hash, kept.hash);
+  });
+
+  it('should still reject replays of pruned transactions', async function () {
+    const { transfer } = await buildChain('pruned');
+    assert.strictEqual(await storage.getTransaction(transfer.hash), null);
+
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 1);
+    const result = await blockchain.addTransaction(transfer);
+    assert.strictEqual(result.accepted, false);
+    assert.match(result.reason, /nonce/i);
+  });
+
+  it('should reload a pruned chain but not as an archival node', async function () {
+    await buildChain('pruned');
+
+    const loaded = await Blockchain.load();
+    assert.strictEqual(loaded.getLatestBlock().hash, blockchain.getLatestBlock().hash);
+    assert.strictEqual(loaded.prunedHeight, 31);
+
+    config.chain.mode = 'archival';
+    await assert.rejects(Blockchain.load(), /cannot back an archival node/);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Transaction, AccountState } = require('../src/blockchain');
+const { findHalfWrittenBlocks, recoverBlocks } = require('../src/recovery');
+const { HistoryPrunedError } = require('../src/errors');
+const { mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Block recovery', function () {
+  let storage;
+  let blockchain;
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    blockchain = new Blockchain();
+    await blockchain.ready;
+    await mineBlock(blockchain, [], { miner: signingAddress });
+  });
+
+  it('should find nothing to repair in a cleanly written chain', async function () {
+    const { broken, missingMerkleData } = await findHalfWrittenBlocks();
+    assert.deepStrictEqual(broken, []);
+    assert.deepStrictEqual(missingMerkleData, []);
+  });
+
+  it('should rewrite missing Merkle data of complete blocks', async function () {
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, 20);
+    tx.sign(signingKey);
+    const block = await mineBlock(blockchain, [tx]);
+    await storage.deleteMerkleData(block.hash);
+
+    const report = await recoverBlocks();
+    assert.deepStrictEqual(report, { repaired: [block.hash], removed: [] });
+    assert.deepStrictEqual(await storage.countMerkleData(block.hash), { nodes: 3, proofs: 2 });
+  });
+
+  it('should remove blocks missing transactions and everything built on them', async function () {
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, 20);
+    tx.sign(signingKey);
+    const halfWritten = await mineBlock(blockchain, [tx]);
+    const child = await mineBlock(blockchain);
+
+    // Simulate an older version that crashed after saving only the first transaction
+    const reward = halfWritten.transactions[1];
+    storage.state.transactions.delete(reward.hash);
+
+    const report = await recoverBlocks();
+    assert.deepStrictEqual(report.removed, [halfWritten.hash, child.hash]);
+    assert.strictEqual(await storage.getBlock(halfWritten.hash), null);
+    assert.strictEqual(await storage.getTransaction(tx.hash), null);
+
+    // The signed transfer is pending again; the lost reward is gone
+    const pending = await storage.getPendingTransactions();
+    assert.deepStrictEqual(pending.map((txData) => txData.hash), [tx.hash]);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), blockchain.miningReward);
+    assert.deepStrictEqual(await AccountState.check(), []);
+  });
+
+  it('should refuse to remove blocks on a pruned node before changing anything', async function () {
+    const halfWritten = await mineBlock(blockchain);
+    const complete = blockchain.chain[1];
+    storage.state.transactions.delete(halfWritten.transactions[0].hash);
+    await storage.deleteMerkleData(complete.hash);
+    await storage.pruneBlocks(1);
+    const balances = await storage.getBalances();
+
+    assert.deepStrictEqual(
+      (await findHalfWrittenBlocks()).broken.map((block) => block.hash),
+      [halfWritten.hash]
+    );
+    await assert.rejects(recoverBlocks(), HistoryPrunedError);
+    assert.ok(await storage.getBlock(halfWritten.hash));
+    assert.deepStrictEqual(await storage.countMerkleData(complete.hash), { nodes: 0, proofs: 0 });
+    assert.deepStrictEqual(await storage.getBalances(), balances);
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { AccountState, Blockchain, Transaction } = require('../src/blockchain');
+const { publicKeyToAddress } = require('../src/wallet');
+const { buildBlock, signingKey, signingAddress } = require('./helpers');
+const EC = require('elliptic').ec;
+
+const ec = new EC('secp256k1');
+
+describe('Chain reorganization', function () {
+  let storage;
+  let blockchain;
+  let fork; // Last block both branches share
+
+  // A block on `parent` holding the given transactions and a reward to `miner`
+  function blockOn(parent, transactions, miner) {
+    return buildBlock(blockchain, transactions, { parent, miner });
+  }
+
+  function payment(nonce, amount = 10, key = signingKey) {
+    const from = publicKeyToAddress(key.getPublic('hex'));
+    const tx = new Transaction(from, blockchain.genesisAddress, amount, Date.now(), null, '', nonce);
+    tx.sign(key);
+    return tx;
+  }
+
+  beforeEach(async function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    fork = await blockOn(blockchain.getLatestBlock(), [], signingAddress);
+    assert.strictEqual((await blockchain.addBlock(fork)).accepted, true);
+  });
+
+  it('should keep the tip for a side branch of equal work', async function () {
+    const main = await blockOn(fork, [], 'miner-a');
+    const side = await blockOn(fork, [], 'miner-b');
+    await blockchain.addBlock(main);
+
+    assert.deepStrictEqual(await blockchain.addBlock(side), { accepted: true, reorganized: false });
+    assert.strictEqual(blockchain.getLatestBlock().hash, main.hash);
+    assert.strictEqual((await storage.getBlock(side.hash)).is_main_chain, 0);
+    assert.strictEqual(await AccountState.getBalance('miner-b'), 0);
+  });
+
+  it('should switch to a heavier branch and roll back the abandoned blocks', async function () {
+    const paid = payment(0);
+    const main = await blockOn(fork, [paid], 'miner-a');
+    await blockchain.addBlock(main);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), blockchain.miningReward - 10);
+
+    const side = await blockOn(fork, [], 'miner-b');
+    await blockchain.addBlock(side);
+    const heavier = await blockOn(side, [], 'miner-b');
+    assert.deepStrictEqual(await blockchain.addBlock(heavier), { accepted: true, reorganized: true });
+
+    assert.deepStrictEqual(
+      blockchain.chain.slice(-3).map((block) => block.hash),
+      [fork.hash, side.hash, heavier.hash]
+    );
+    assert.strictEqual((await storage.getBlock(main.hash)).is_main_chain, 0);
+    assert.deepStrictEqual(
+      (await storage.getBlocks(true)).map((row) => row.hash),
+      [blockchain.chain[0].hash, fork.hash, side.hash, heavier.hash]
+    );
+
+    // The abandoned payment is pending again; the abandoned reward is gone
+    assert.deepStrictEqual(blockchain.pendingTransactions.map((tx) => tx.hash), [paid.hash]);
+    assert.deepStrictEqual((await storage.getPendingTransactions()).map((row) => row.hash), [paid.hash]);
+    assert.strictEqual(await storage.getTransaction(paid.hash), null);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), blockchain.miningReward);
+    assert.strictEqual(await AccountState.getBalance('miner-a'), 0);
+    assert.strictEqual(await AccountState.getBalance('miner-b'), 2 * blockchain.miningReward);
+    assert.deepStrictEqual(await AccountState.check(), []);
+  });
+
+  it('should drop pending transactions whose nonce the new branch used', async function () {
+    const main = await blockOn(fork, [], 'miner-a');
+    await blockchain.addBlock(main);
+    const waiting = payment(0, 5);
+    assert.strictEqual((await blockchain.addTransaction(waiting)).accepted, true);
+
+    const competing = payment(0, 7);
+    const side = await blockOn(fork, [competing], 'miner-b');
+    await blockchain.addBlock(side);
+    await blockchain.addBlock(await blockOn(side, [], 'miner-b'));
+
+    assert.deepStrictEqual(blockchain.pendingTransactions, []);
+    assert.strictEqual(await storage.countPendingTransactions(), 0);
+    assert.strictEqual((await storage.getTransaction(competing.hash)).block_hash, side.hash);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), blockchain.miningReward - 7);
+  });
+
+  it('should drop restored and pending transactions funded only by the abandoned branch', async function () {
+    const key = ec.genKeyPair();
+    const address = publicKeyToAddress(key.getPublic('hex'));
+    const main = await blockOn(fork, [], address);
+    await blockchain.addBlock(main);
+    const spent = payment(0, 30, key);
+    await blockchain.addBlock(await blockOn(main, [spent, payment(0)], 'miner-a'));
+    const waiting = payment(1, 20, key);
+    assert.strictEqual((await blockchain.addTransaction(waiting)).accepted, true);
+
+    let side = fork;
+    for (let i = 0; i < 3; i++) {
+      side = await blockOn(side, [], 'miner-b');
+      await blockchain.addBlock(side);
+    }
+    assert.strictEqual(blockchain.getLatestBlock().hash, side.hash);
+    assert.strictEqual(await AccountState.getBalance(address), 0);
+
+    // Only the payment signingAddress can still cover is pending again
+    const [restored] = blockchain.pendingTransactions;
+    assert.deepStrictEqual(blockchain.pendingTransactions.map((tx) => tx.fromAddress), [signingAddress]);
+    assert.deepStrictEqual((await storage.getPendingTransactions()).map((row) => row.hash), [restored.hash]);
+    assert.strictEqual(blockchain.pendingReceivedAt.has(waiting.hash), false);
+
+    blockchain.transactionThreshold = 1;
+    await blockchain.minePendingTransactions('miner-c');
+    assert.strictEqual(blockchain.getLatestBlock().transactions[0].hash, restored.hash);
+    assert.deepStrictEqual(blockchain.pendingTransactions, []);
+  });
+});
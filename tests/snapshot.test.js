@@ -0,0 +1,93 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { Blockchain, Transaction, AccountState } = require('../src/blockchain');
+const { exportChain, importChain } = require('../src/snapshot');
+const { InvalidSnapshotError } = require('../src/errors');
+const { mineBlock, signingKey, signingAddress } = require('./helpers');
+
+describe('Chain snapshots', function () {
+  let blockchain;
+  let file;
+
+  // Rewrite the snapshot with `edit` applied to each parsed line, fixing up the checksum
+  function rewriteSnapshot(edit) {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    const body = lines.slice(0, -1).map((record) => JSON.stringify(edit(record) || record) + '\n');
+    const trailer = lines[lines.length - 1];
+    trailer.sha256 = crypto.createHash('sha256').update(body.join('')).digest('hex');
+    fs.writeFileSync(file, body.join('') + JSON.stringify(trailer) + '\n');
+  }
+
+  beforeEach(async function () {
+    file = path.join(os.tmpdir(), `aibtccoin-snapshot-${process.pid}.ndjson`);
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+
+    await mineBlock(blockchain, [], { miner: signingAddress });
+    const transfer = new Transaction(signingAddress, blockchain.genesisAddress, 20);
+    transfer.sign(signingKey);
+    await mineBlock(blockchain, [transfer]);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('should export a header, one line per block and a checksum trailer', async function () {
+    const { blocks } = await exportChain(file, { includeMerkle: true });
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+    assert.strictEqual(blocks, 3);
+    assert.strictEqual(lines[0].type, 'header');
+    assert.strictEqual(lines[0].version, 1);
+    assert.deepStrictEqual(lines.slice(1, -1).map((record) => record.block.index), [0, 1, 2]);
+    assert.ok(lines[1].merkle.nodes.length > 0);
+    assert.strictEqual(lines[lines.length - 1].type, 'trailer');
+  });
+
+  it('should rebuild an empty node from a snapshot', async function () {
+    await exportChain(file, { includeMerkle: true });
+    setStorage(new MemoryStorage());
+
+    assert.deepStrictEqual(await importChain(file), { blocks: 3 });
+    const loaded = await Blockchain.load();
+    assert.strictEqual(loaded.getLatestBlock().hash, blockchain.getLatestBlock().hash);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), 80);
+  });
+
+  it('should refuse a snapshot whose checksum does not match', async function () {
+    await exportChain(file);
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"amount":20', '"amount":2000'));
+    setStorage(new MemoryStorage());
+
+    await assert.rejects(importChain(file), /checksum does not match/);
+  });
+
+  it('should stop at the first invalid block and report it', async function () {
+    await exportChain(file);
+    rewriteSnapshot((record) => {
+      if (record.type === 'block' && record.block.index === 2) {
+        record.transactions[0].amount = 2000;
+      }
+    });
+    setStorage(new MemoryStorage());
+
+    await assert.rejects(importChain(file), (error) => {
+      assert.ok(error instanceof InvalidSnapshotError);
+      assert.strictEqual(error.blockIndex, 2);
+      assert.strictEqual(error.line, 4);
+      assert.strictEqual(error.imported, 2);
+      return true;
+    });
+  });
+
+  it('should refuse to import into a database that already has blocks', async function () {
+    await exportChain(file);
+    await assert.rejects(importChain(file), /already has blocks/);
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { MemoryStorage, setStorage } = require('../src/storage');
+const { StateTree, EMPTY_STATE_ROOT } = require('../src/stateTree');
+
+describe('State tree', function () {
+  const addresses = Array.from({ length: 20 }, (_, i) => `address-${i}`);
+  let storage;
+
+  beforeEach(function () {
+    storage = new MemoryStorage();
+    setStorage(storage);
+  });
+
+  it('should read back the balances it was built from', async function () {
+    const root = await StateTree.fromBalances(new Map(addresses.map((address, i) => [address, i + 1])));
+
+    for (const [i, address] of addresses.entries()) {
+      assert.strictEqual(await StateTree.getBalance(root, address), i + 1);
+    }
+    assert.strictEqual(await StateTree.getBalance(root, 'unknown'), 0);
+    assert.strictEqual(await StateTree.getBalance(EMPTY_STATE_ROOT, addresses[0]), 0);
+  });
+
+  it('should depend only on the balances, not on the order of updates', async function () {
+    const balances = new Map(addresses.map((address, i) => [address, i + 1]));
+    const built = await StateTree.fromBalances(balances);
+
+    let updated = EMPTY_STATE_ROOT;
+    for (const [address, balance] of [...balances].reverse()) {
+      updated = await StateTree.update(updated, new Map([[address, balance]]));
+    }
+    assert.strictEqual(updated, built);
+
+    // Zeroing a balance removes the address
+    const emptied = await StateTree.update(built, new Map(addresses.map((address) => [address, 0])));
+    assert.strictEqual(emptied, EMPTY_STATE_ROOT);
+  });
+
+  it('should keep earlier roots readable after an update', async function () {
+    const before = await StateTree.fromBalances(new Map([['alice', 5], ['bob', 7]]));
+    const after = await StateTree.update(before, new Map([['alice', 1], ['carol', 3]]));
+
+    assert.strictEqual(await StateTree.getBalance(before, 'alice'), 5);
+    assert.strictEqual(await StateTree.getBalance(before, 'carol'), 0);
+    assert.strictEqual(await StateTree.getBalance(after, 'alice'), 1);
+    assert.strictEqual(await StateTree.getBalance(after, 'bob'), 7);
+    assert.strictEqual(await StateTree.getBalance(after, 'carol'), 3);
+  });
+
+  it('should prove balances and absences', async function () {
+    const root = await StateTree.fromBalances(new Map(addresses.map((address, i) => [address, i + 1])));
+
+    for (const address of [...addresses, 'unknown', 'someone-else']) {
+      const { balance, proof } = await StateTree.getProof(root, address);
+      assert.strictEqual(balance, await StateTree.getBalance(root, address));
+      assert.ok(StateTree.verifyProof(address, balance, proof, root), `proof for ${address}`);
+    }
+
+    const { proof: emptyProof } = await StateTree.getProof(EMPTY_STATE_ROOT, 'unknown');
+    assert.deepStrictEqual(emptyProof, []);
+    assert.ok(StateTree.verifyProof('unknown', 0, emptyProof, EMPTY_STATE_ROOT));
+  });
+
+  it('should reject proofs of other balances, addresses or roots', async function () {
+    const root = await StateTree.fromBalances(new Map(addresses.map((address, i) => [address, i + 1])));
+    const { balance, proof } = await StateTree.getProof(root, 'address-3');
+    const absent = await StateTree.getProof(root, 'unknown');
+
+    assert.strictEqual(StateTree.verifyProof('address-3', balance + 1, proof, root), false);
+    assert.strictEqual(StateTree.verifyProof('address-3', 0, proof, root), false);
+    assert.strictEqual(StateTree.verifyProof('address-4', balance, proof, root), false);
+    assert.strictEqual(StateTree.verifyProof('address-3', balance, proof, EMPTY_STATE_ROOT), false);
+    assert.strictEqual(StateTree.verifyProof('address-3', balance, proof.slice(1), root), false);
+    assert.strictEqual(
+      StateTree.verifyProof('address-3', balance, [...proof, { ...proof[0] }], root),
+      false
+    );
+    assert.strictEqual(StateTree.verifyProof('unknown', 1, absent.proof, root), false);
+  });
+
+  it('should fail loudly when a node it needs is missing', async function () {
+    const root = await StateTree.fromBalances(new Map([['alice', 5], ['bob', 7]]));
+    storage.state.stateNodes.delete(root);
+    await assert.rejects(StateTree.getBalance(root, 'alice'), /State tree node .* is missing/);
+  });
+});
@@ -0,0 +1,209 @@
+const assert = require('assert');
+const { MemoryStorage, createStorage, getStorage, setStorage } = require('../src/storage');
+const { Blockchain, Block, Transaction, AccountState } = require('../src/blockchain');
+const { signingKey, signingAddress } = require('./helpers');
+
+describe('Storage backends', function () {
+  it('should create the in-memory backend by name', function () {
+    assert.ok(createStorage('memory') instanceof MemoryStorage);
+  });
+
+  it('should reject unknown backends', function () {
+    assert.throws(() => createStorage('nope'), /Unknown storage backend/);
+  });
+});
+
+describe('MySQLStorage batching', function () {
+  const MySQLStorage = require('../src/storage/mysqlStorage');
+
+  it('should split inserts into batches of the configured size', async function () {
+    const storage = new MySQLStorage({ batchSize: 2 });
+    const statements = [];
+    storage.query = async (sql, values) => {
+      statements.push({ sql, rows: values[0] });
+    };
+
+    const rows = [0, 1, 2, 3, 4].map((i) => ({ hash: `t${i}`, to_address: 'bob', position: i }));
+    await storage.insertTransactions(rows);
+
+    assert.deepStrictEqual(statements.map((statement) => statement.rows.length), [2, 2, 1]);
+    assert.ok(statements[0].sql.startsWith('INSERT INTO transactions'));
+    assert.deepStrictEqual(
+      statements.flatMap((statement) => statement.rows.map((row) => row[0])),
+      ['t0', 't1', 't2', 't3', 't4']
+    );
+  });
+
+  it('should reject batch sizes below one', function () {
+    assert.throws(() => new MySQLStorage({ batchSize: 0 }), /Invalid insert batch size/);
+  });
+});
+
+describe('MemoryStorage', function () {
+  let storage;
+
+  beforeEach(function () {
+    storage = new MemoryStorage();
+  });
+
+  it('should reject duplicate blocks like the database does', async function () {
+    const row = { hash: 'b1', previous_hash: '0', index: 0, is_main_chain: 1 };
+    await storage.insertBlock(row);
+    await assert.rejects(storage.insertBlock(row), { code: 'ER_DUP_ENTRY' });
+  });
+
+  it('should allow only one main-chain block per index', async function () {
+    await storage.insertBlock({ hash: 'b1', previous_hash: '0', index: 1, is_main_chain: 1 });
+    await assert.rejects(
+      storage.insertBlock({ hash: 'b2', previous_hash: '0', index: 1, is_main_chain: 1 }),
+      { code: 'ER_DUP_ENTRY' }
+    );
+
+    await storage.insertBlock({ hash: 'b2', previous_hash: '0', index: 1, is_main_chain: 0 });
+    await assert.rejects(storage.setBlockMainChain('b2', true), { code: 'ER_DUP_ENTRY' });
+    await storage.setBlockMainChain('b1', false);
+    await storage.setBlockMainChain('b2', true);
+    assert.deepStrictEqual((await storage.getBlocks(true)).map((row) => row.hash), ['b2']);
+  });
+
+  it('should roll back writes when a transaction fails', async function () {
+    await storage.applyBalanceChanges(new Map([['alice', 10]]));
+
+    await assert.rejects(
+      storage.transaction(async () => {
+        await storage.applyBalanceChanges(new Map([['alice', 5]]));
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+
+    assert.strictEqual(await storage.getBalance('alice'), 10);
+  });
+
+  it('should roll back every kind of write, leaving earlier data in place', async function () {
+    await storage.insertBlock({ hash: 'b1', previous_hash: '0', index: 1, is_main_chain: 1 });
+    await storage.insertMerkleNode('b1', 0, 0, 'n1');
+    await storage.insertPendingTransaction({ hash: 'p1', received_at: 1 });
+    const before = structuredClone(storage.state);
+
+    await assert.rejects(
+      storage.transaction(async () => {
+        await storage.setBlockMainChain('b1', false);
+        await storage.insertBlock({ hash: 'b2', previous_hash: 'b1', index: 2, is_main_chain: 1 });
+        await storage.insertTransaction({ hash: 't1', block_hash: 'b2', from_address: null, to_address: 'bob' });
+        await storage.insertTransaction({ hash: 't2', block_hash: 'b2', to_address: 'bob' }, false);
+        await storage.deleteMerkleData('b1');
+        await storage.insertMerkleNode('b2', 0, 0, 'n2');
+        await storage.deletePendingTransactions(['p1']);
+        await storage.replaceBalances(new Map([['bob', 1]]));
+        await storage.saveCheckpoint({ height: 2, block_hash: 'b2' });
+        await storage.pruneBlocks(2);
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+
+    assert.deepStrictEqual(storage.state, before);
+  });
+
+  it('should not roll back writes of a transaction that overlapped a failing one', async function () {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const failing = storage.transaction(async () => {
+      await storage.applyBalanceChanges(new Map([['alice', 5]]));
+      await storage.transaction(() => storage.insertPendingTransaction({ hash: 'nested', received_at: 1 }));
+      await gate;
+      throw new Error('boom');
+    });
+    const committed = storage.transaction(() => storage.insertPendingTransaction({ hash: 'p1', received_at: 2 }));
+    release();
+
+    await assert.rejects(failing, /boom/);
+    await committed;
+    assert.deepStrictEqual((await storage.getPendingTransactions()).map((row) => row.hash), ['p1']);
+    assert.strictEqual(await storage.getBalance('alice'), 0);
+  });
+
+  it('should track the highest confirmed nonce per sender', async function () {
+    assert.strictEqual(await storage.getLastNonce('alice'), null);
+    await storage.insertTransaction({ hash: 't1', from_address: 'alice', to_address: 'bob', nonce: 0 });
+    await storage.insertTransaction({ hash: 't2', from_address: 'alice', to_address: 'bob', nonce: 3 });
+    assert.strictEqual(await storage.getLastNonce('alice'), 3);
+  });
+});
+
+describe('Blockchain on in-memory storage', function () {
+  let blockchain;
+
+  beforeEach(async function () {
+    setStorage(new MemoryStorage());
+    blockchain = new Blockchain();
+    await blockchain.ready;
+  });
+
+  it('should persist the genesis block and its reward', async function () {
+    const storage = getStorage();
+    const row = await storage.getBlock(blockchain.chain[0].hash);
+    assert.strictEqual(Number(row.index), 0);
+    assert.strictEqual(
+      await AccountState.getBalance(blockchain.genesisAddress),
+      1000000
+    );
+  });
+
+  it('should mine pending transactions and keep balances consistent', async function () {
+    const funding = new Block(
+      1,
+      blockchain.getLatestBlock().hash,
+      Date.now(),
+      [new Transaction(null, signingAddress, 500)],
+      blockchain.getDifficultyForHeight(1)
+    );
+    funding.mineBlock(funding.difficulty);
+    await blockchain.appendBlock(funding);
+
+    blockchain.transactionThreshold = 1;
+    const tx = new Transaction(signingAddress, blockchain.genesisAddress, 20);
+    tx.sign(signingKey);
+    assert.strictEqual((await blockchain.addTransaction(tx)).accepted, true);
+    assert.strictEqual(await blockchain.countPendingTransactions(), 1);
+
+    await blockchain.minePendingTransactions(blockchain.getMinerAddress());
+
+    assert.strictEqual(blockchain.chain.length, 3);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), 480);
+    assert.strictEqual(await blockchain.getNextNonce(signingAddress), 1);
+    assert.deepStrictEqual(await AccountState.check(), []);
+  });
+
+  it('should save nothing of a block when any part of it fails', async function () {
+    const storage = getStorage();
+    const tx = new Transaction(null, signingAddress, 500);
+    await storage.insertPendingTransaction(tx.toRow());
+
+    const block = new Block(
+      1,
+      blockchain.getLatestBlock().hash,
+      Date.now(),
+      [tx],
+      blockchain.getDifficultyForHeight(1)
+    );
+    block.mineBlock(block.difficulty);
+    storage.insertMerkleProof = async () => {
+      throw new Error('disk full');
+    };
+
+    const tip = blockchain.getLatestBlock();
+    await assert.rejects(blockchain.appendBlock(block), /disk full/);
+    assert.strictEqual(blockchain.getLatestBlock(), tip);
+    assert.strictEqual(blockchain.chain.length, 1);
+    assert.strictEqual(blockchain.chainWork.has(block.hash), false);
+    assert.strictEqual(await storage.getBlock(block.hash), null);
+    assert.strictEqual(await storage.getTransaction(tx.hash), null);
+    assert.deepStrictEqual(await storage.countMerkleData(block.hash), { nodes: 0, proofs: 0 });
+    assert.strictEqual(await storage.countPendingTransactions(), 1);
+    assert.strictEqual(await AccountState.getBalance(signingAddress), 0);
+  });
+});
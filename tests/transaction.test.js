@@ -144,3 +144,74 @@ describe('Transaction class', function() {
   });
 });
 */
+const assert = require('assert');
+const { Transaction } = require('../src/blockchain');
+const { createMultisigAddress, publicKeyToAddress } = require('../src/wallet');
+const EC = require('elliptic').ec;
+
+const ec = new EC('secp256k1');
+
+describe('Multisig transactions', function() {
+  const keyPairs = [ec.genKeyPair(), ec.genKeyPair(), ec.genKeyPair()];
+  const publicKeys = keyPairs.map((keyPair) => keyPair.getPublic('hex'));
+  const recipient = publicKeyToAddress(ec.genKeyPair().getPublic('hex'));
+
+  function createMultisigTx() {
+    const tx = new Transaction(createMultisigAddress(publicKeys, 2), recipient, 10);
+    tx.setMultisigPolicy(publicKeys, 2);
+    return tx;
+  }
+
+  it('should derive the same address regardless of key order', function() {
+    assert.strictEqual(
+      createMultisigAddress(publicKeys, 2),
+      createMultisigAddress([...publicKeys].reverse(), 2)
+    );
+    assert.notStrictEqual(createMultisigAddress(publicKeys, 2), createMultisigAddress(publicKeys, 3));
+  });
+
+  it('should only be valid once the threshold of signers is reached', function() {
+    const tx = createMultisigTx();
+    tx.sign(keyPairs[0]);
+    assert.strictEqual(tx.isValid(), false);
+
+    tx.sign(keyPairs[0]); // Signing twice with the same key does not count twice
+    assert.strictEqual(tx.isValid(), false);
+
+    tx.sign(keyPairs[2]);
+    assert.strictEqual(tx.isValid(), true);
+  });
+
+  it('should collect signatures across separate steps', function() {
+    const tx = createMultisigTx();
+    tx.sign(keyPairs[1]);
+
+    const received = Transaction.fromJSON(JSON.stringify(tx));
+    received.sign(keyPairs[2]);
+
+    assert.strictEqual(received.hash, tx.hash);
+    assert.strictEqual(received.isValid(), true);
+  });
+
+  it('should reject keys outside the policy and tampered policies', function() {
+    const tx = createMultisigTx();
+    assert.throws(() => tx.sign(ec.genKeyPair()), /not part of this multisig/);
+
+    tx.sign(keyPairs[0]);
+    tx.sign(keyPairs[1]);
+    tx.multisig.threshold = 1;
+    assert.strictEqual(tx.isValid(), false);
+  });
+});
+
+describe('Transaction hashes', function() {
+  it('should not let neighbouring fields run into each other', function() {
+    const timestamp = Date.now();
+    const first = new Transaction('alice', 'bob', 5, timestamp, null, '', 1, 23);
+    const second = new Transaction('alice', 'bob', 5, timestamp, null, '', 12, 3);
+    assert.notStrictEqual(first.hash, second.hash);
+
+    const shifted = new Transaction('alice', 'bob5', '', timestamp, null, '', 1, 23);
+    assert.notStrictEqual(first.hash, shifted.hash);
+  });
+});
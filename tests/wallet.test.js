@@ -2,6 +2,16 @@ const assert = require('assert');
 const crypto = require('crypto');
 const EC = require('elliptic').ec;
 const { Transaction } = require('../src/blockchain'); // Adjust the path to the blockchain module
+const fs = require('fs');
+const path = require('path');
+const {
+  createNewWallet,
+  loadWallet,
+  migratePlaintextWallets,
+  publicKeyToAddress,
+  isValidAddress
+} = require('../src/wallet');
+const { HDWallet, masterKeyFromSeed, derivePath } = require('../src/hdWallet');
 
 const ec = new EC('secp256k1');
 
@@ -91,6 +101,183 @@ describe('Transaction Tests', function() {
   });
 });
 
+describe('Wallet addresses', function() {
+  it('should derive a checksummed address from the public key', function() {
+    const publicKey = ec.genKeyPair().getPublic('hex');
+    const address = publicKeyToAddress(publicKey);
 
+    assert.ok(isValidAddress(address));
+    assert.strictEqual(address, publicKeyToAddress(publicKey));
+  });
+
+  it('should reject an address with a typo', function() {
+    const publicKey = ec.genKeyPair().getPublic('hex');
+    const address = publicKeyToAddress(publicKey);
+    const lastChar = address[address.length - 1];
+    const typo = address.slice(0, -1) + (lastChar === '2' ? '3' : '2');
+
+    assert.strictEqual(isValidAddress(typo), false);
+    assert.strictEqual(isValidAddress('address2'), false);
+  });
+
+  it('should only validate transactions whose public key hashes to the sender', function() {
+    const keyPair = ec.genKeyPair();
+    const publicKey = keyPair.getPublic('hex');
+    const address = publicKeyToAddress(publicKey);
+    const recipient = publicKeyToAddress(ec.genKeyPair().getPublic('hex'));
+
+    const transaction = new Transaction(address, recipient, 10);
+    transaction.sign(keyPair);
+    assert.strictEqual(transaction.isValid(), true);
+
+    // Swap in another key that produces a valid signature but a different address
+    const otherKeyPair = ec.genKeyPair();
+    transaction.signature = otherKeyPair.sign(transaction.calculateHash(), 'hex').toDER('hex');
+    transaction.publicKey = otherKeyPair.getPublic('hex');
+    assert.strictEqual(transaction.isValid(), false);
+  });
+
+  it('should refuse to sign for another wallet', function() {
+    const publicKey = ec.genKeyPair().getPublic('hex');
+    const transaction = new Transaction(publicKeyToAddress(publicKey), 'recipient', 10);
+
+    assert.throws(() => transaction.sign(ec.genKeyPair()), /other wallets/);
+  });
+});
 
+describe('Wallet keystore', function() {
+  let wallet = null;
+  let walletPath = null;
 
+  beforeEach(function() {
+    wallet = createNewWallet('correct horse battery staple');
+    walletPath = path.join(__dirname, '../src/wallets', `${wallet.address}.json`);
+  });
+
+  afterEach(function() {
+    fs.unlinkSync(walletPath);
+  });
+
+  it('should not store the private key in plaintext', function() {
+    const contents = fs.readFileSync(walletPath, 'utf8');
+    assert.ok(!contents.includes(wallet.privateKey));
+  });
+
+  it('should decrypt with the right passphrase', function() {
+    const loaded = loadWallet(wallet.address, 'correct horse battery staple');
+    assert.strictEqual(loaded.privateKey, wallet.privateKey);
+    assert.strictEqual(loaded.publicKey, wallet.publicKey);
+  });
+
+  it('should fail with a clear error on a wrong passphrase', function() {
+    assert.throws(
+      () => loadWallet(wallet.address, 'wrong passphrase'),
+      { name: 'InvalidPassphraseError', message: /Wrong passphrase/ }
+    );
+  });
+});
+
+describe('Plaintext wallet migration', function() {
+  const walletDir = path.join(__dirname, '../src/wallets');
+  let plaintext = null;
+  let walletPath = null;
+
+  beforeEach(function() {
+    const key = ec.genKeyPair();
+    const publicKey = key.getPublic('hex');
+    plaintext = { publicKey, privateKey: key.getPrivate('hex'), address: publicKeyToAddress(publicKey) };
+    walletPath = path.join(walletDir, `${plaintext.address}.json`);
+    fs.writeFileSync(walletPath, JSON.stringify(plaintext, null, 2));
+  });
+
+  afterEach(function() {
+    fs.rmSync(walletPath, { force: true });
+  });
+
+  it('should replace plaintext wallets with keystores', function() {
+    assert.ok(migratePlaintextWallets('migration passphrase').includes(plaintext.address));
+
+    assert.ok(!fs.readFileSync(walletPath, 'utf8').includes(plaintext.privateKey));
+    assert.strictEqual(loadWallet(plaintext.address, 'migration passphrase').privateKey, plaintext.privateKey);
+    assert.deepStrictEqual(fs.readdirSync(walletDir).filter((file) => file.endsWith('.tmp')), []);
+  });
+
+  it('should leave the plaintext wallet whole when the new file cannot be put in place', function() {
+    const renameSync = fs.renameSync;
+    fs.renameSync = () => {
+      throw new Error('disk full');
+    };
+    try {
+      assert.throws(() => migratePlaintextWallets('migration passphrase'), /disk full/);
+    } finally {
+      fs.renameSync = renameSync;
+    }
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(walletPath, 'utf8')), plaintext);
+    assert.deepStrictEqual(fs.readdirSync(walletDir).filter((file) => file.endsWith('.tmp')), []);
+  });
+
+  it('should store wallets named after a legacy address under their current address', function() {
+    const key = ec.genKeyPair();
+    const publicKey = key.getPublic('hex');
+    const legacyAddress = crypto.randomBytes(15).toString('hex');
+    const legacyPath = path.join(walletDir, `${legacyAddress}.json`);
+    const address = publicKeyToAddress(publicKey);
+    const walletPath = path.join(walletDir, `${address}.json`);
+    fs.writeFileSync(
+      legacyPath,
+      JSON.stringify({ publicKey, privateKey: key.getPrivate('hex'), address: legacyAddress }, null, 2)
+    );
+
+    try {
+      assert.ok(migratePlaintextWallets('migration passphrase').includes(address));
+      assert.ok(!fs.existsSync(legacyPath));
+      const loaded = loadWallet(address, 'migration passphrase');
+      assert.strictEqual(loaded.address, address);
+      assert.strictEqual(loaded.privateKey, key.getPrivate('hex'));
+    } finally {
+      fs.rmSync(legacyPath, { force: true });
+      fs.rmSync(walletPath, { force: true });
+    }
+  });
+});
+
+describe('HD wallet', function() {
+  it('should match the BIP32 test vector 1 private keys', function() {
+    const masterKey = masterKeyFromSeed(Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex'));
+
+    assert.strictEqual(
+      derivePath(masterKey, "m/0'/1/2'").privateKey.toString('hex'),
+      'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca'
+    );
+    assert.strictEqual(
+      derivePath(masterKey, "m/0'/1/2'/2/1000000000").privateKey.toString('hex'),
+      '471b76e389e528d6de6d816857e012c5455051cad6660850e58372a6c3e6e7c8'
+    );
+  });
+
+  it('should derive the same addresses after importing the mnemonic', function() {
+    const wallet = HDWallet.generate();
+    const restored = HDWallet.fromMnemonic(wallet.mnemonic);
+    const addresses = wallet.deriveReceiveAddresses(5);
+
+    assert.strictEqual(new Set(addresses).size, 5);
+    assert.deepStrictEqual(restored.deriveReceiveAddresses(5), addresses);
+    addresses.forEach((address) => assert.ok(isValidAddress(address)));
+  });
+
+  it('should derive keys whose public key matches the address', function() {
+    const key = HDWallet.generate().deriveReceiveKey(3);
+
+    assert.strictEqual(ec.keyFromPrivate(key.privateKey).getPublic('hex'), key.publicKey);
+    assert.strictEqual(publicKeyToAddress(key.publicKey), key.address);
+  });
+
+  it('should reject a mnemonic with a bad checksum', function() {
+    const valid = Array(11).fill('abandon').concat('about').join(' ');
+    const badChecksum = Array(12).fill('abandon').join(' ');
+
+    assert.ok(HDWallet.fromMnemonic(valid));
+    assert.throws(() => HDWallet.fromMnemonic(badChecksum), { name: 'InvalidMnemonicError' });
+  });
+});